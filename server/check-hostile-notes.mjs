@@ -0,0 +1,356 @@
+/**
+ * Checks that the app shows the hostile fixture notes as text
+ * The real components are mounted in jsdom with the notes in a MemoryAdapter: the active and
+ * archived lists (also with a search query, which highlights matches), every note item in
+ * edit mode, the detail view of every note and make-note with every note as its draft.
+ *
+ * The elements and attributes the components may render are taken from rendering them with
+ * harmless notes first, with tags and with searches that match and that match nothing, plus
+ * what HelperMarkdown creates for note content. Rendering the hostile notes may not add
+ * anything else, no style element may end up inside the markup, links are limited to the
+ * protocols HelperMarkdown allows, and titles and bodies have to show up as the text they are.
+ *
+ * Usage: node server/check-hostile-notes.mjs [notes.json]
+ * Exits with 1 and lists every problem when a note renders anything else.
+ *
+ * @file check-hostile-notes.mjs
+ */
+
+import fs from "fs";
+import { JSDOM } from "jsdom";
+
+const { window } = new JSDOM("<!DOCTYPE html><body></body>", {
+  url: "http://localhost/",
+  pretendToBeVisual: true,
+});
+
+// The browser globals the components use
+[
+  "window",
+  "document",
+  "navigator",
+  "location",
+  "history",
+  "localStorage",
+  "customElements",
+  "HTMLElement",
+  "ShadowRoot",
+  "Node",
+  "Event",
+  "CustomEvent",
+  "KeyboardEvent",
+  "MouseEvent",
+  "CSSStyleSheet",
+  "DocumentFragment",
+  "requestAnimationFrame",
+  "getComputedStyle",
+].forEach((name) => {
+  Object.defineProperty(globalThis, name, { value: window[name], configurable: true });
+});
+
+process.env.NOTES_STORAGE = "memory";
+
+const { default: NoteApi } = await import("../src/data/noteApi.js");
+const { default: NoteStore } = await import("../src/data/noteStore.js");
+const { MemoryAdapter } = await import("../src/data/adapters/index.js");
+const { default: HelperDraft } = await import("../src/helper/helperDraft.js");
+for (const component of [
+  "note-item",
+  "note-detail",
+  "active-note",
+  "archive-note",
+  "make-note",
+  "tag-bar",
+  "color-filter",
+  "note-sort",
+]) {
+  await import(`../src/components/${component}.js`);
+}
+
+const fixture = process.argv[2] || new URL("./fixtures/hostile-notes.json", import.meta.url);
+const notes = JSON.parse(fs.readFileSync(fixture, "utf8"));
+
+const harmlessNotes = [
+  { id: "harmless-1", title: "Groceries", body: "Milk and bread #shopping", archived: false },
+  { id: "harmless-2", title: "Old plans", body: "Paint the fence #home", archived: true },
+].map((note) => ({ ...note, createdAt: "2024-01-01T00:00:00.000Z" }));
+
+// Elements and attributes HelperMarkdown creates for note content, and the search highlight
+const CONTENT_ELEMENTS = {
+  a: ["href", "target", "rel"],
+  blockquote: [],
+  br: [],
+  code: [],
+  em: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  li: [],
+  mark: [],
+  ol: ["start"],
+  p: [],
+  pre: [],
+  strong: [],
+  ul: [],
+};
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * Waits for the components to load and render
+ *
+ * @returns { Promise<void> }
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+/**
+ * Drops null characters, which the HTML parser removes or replaces
+ *
+ * @param { string } text - The text to compare
+ * @returns { string } The text without null and replacement characters
+ */
+function withoutNull(text) {
+  return String(text).replace(/[\0\uFFFD]/g, "");
+}
+
+/**
+ * Collects the elements rendered in a shadow root and in the shadow roots nested in it
+ *
+ * @param { ShadowRoot } root - The shadow root of a mounted component
+ * @returns { Element[] } Every rendered element
+ */
+function renderedElements(root) {
+  return [...root.querySelectorAll("*")].flatMap((element) => [
+    element,
+    ...(element.shadowRoot ? renderedElements(element.shadowRoot) : []),
+  ]);
+}
+
+/**
+ * Records the elements and attributes of a harmless rendering as allowed
+ *
+ * @param { Map<string, Set<string>> } allowed - Allowed attributes by element name
+ * @param { ShadowRoot } root - The shadow root of a mounted component
+ */
+function allow(allowed, root) {
+  renderedElements(root).forEach((element) => {
+    if (!allowed.has(element.localName)) allowed.set(element.localName, new Set());
+    [...element.attributes].forEach((attribute) => {
+      allowed.get(element.localName).add(attribute.name);
+    });
+  });
+}
+
+/**
+ * Lists the elements and attributes of a rendering that are not allowed
+ *
+ * @param { Map<string, Set<string>> } allowed - Allowed attributes by element name
+ * @param { ShadowRoot } root - The shadow root of a mounted component
+ * @returns { string[] } The problems found, empty when the rendering is safe
+ */
+function findInjected(allowed, root) {
+  const problems = [];
+
+  renderedElements(root).forEach((element) => {
+    const name = element.localName;
+
+    if (!allowed.has(name)) {
+      problems.push(`unexpected <${name}>`);
+      return;
+    }
+
+    [...element.attributes].forEach((attribute) => {
+      if (!allowed.get(name).has(attribute.name)) {
+        problems.push(`unexpected ${attribute.name} attribute on <${name}>`);
+      }
+    });
+
+    if (name === "style" && !(element.parentNode instanceof ShadowRoot)) {
+      problems.push("<style> inside the markup");
+    }
+
+    if (name === "a" && element.hasAttribute("href")) {
+      const { protocol } = new URL(element.getAttribute("href"), window.location.href);
+      if (!SAFE_PROTOCOLS.includes(protocol)) {
+        problems.push(`link with the ${protocol} protocol`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Compares what a rendered element shows with the note data
+ *
+ * @param { ShadowRoot } root - The shadow root to look in
+ * @param { string } selector - Selects the element
+ * @param { string } property - The property holding the shown text, e.g. "textContent"
+ * @param { string } expected - The text of the note
+ * @returns { string[] } The problem found, empty when the text is shown as it is
+ */
+function expectText(root, selector, property, expected) {
+  const element = root.querySelector(selector);
+  if (element && withoutNull(element[property]) === withoutNull(expected)) return [];
+
+  return [`${selector} does not show the note as it is`];
+}
+
+/**
+ * Uses a storage holding the given notes, the lists load them again
+ *
+ * @param { Object[] } storedNotes - The notes to store
+ */
+function useNotes(storedNotes) {
+  NoteApi.useAdapter(new MemoryAdapter(storedNotes));
+  NoteStore.reset();
+}
+
+/**
+ * Mounts a component until the callback is done with it
+ *
+ * @param { string } name - The element name
+ * @param { Function } setup - Prepares the element before it is added
+ * @param { Function } inspect - Receives the element once it rendered
+ * @returns { Promise<*> } What the callback returned
+ */
+async function mount(name, setup, inspect) {
+  const element = document.createElement(name);
+  setup(element);
+  document.body.append(element);
+  await settle();
+
+  try {
+    return await inspect(element);
+  } finally {
+    element.remove();
+  }
+}
+
+/**
+ * Renders both lists with every note item, and every item in edit mode
+ *
+ * @param { Function } check - Receives a label, the shadow root and the note it shows, if any
+ * @param { string } [query] - The search query, highlighted in the items
+ * @returns { Promise<void> }
+ */
+async function renderLists(check, query = "") {
+  window.history.replaceState(null, "", query ? `/?q=${encodeURIComponent(query)}` : "/");
+
+  for (const list of ["active-note", "archive-note"]) {
+    await mount(
+      list,
+      () => {},
+      async (element) => {
+        check(`${list}${query ? ` searching "${query}"` : ""}`, element.shadowRoot);
+
+        for (const item of element.shadowRoot.querySelectorAll("note-item")) {
+          const note = NoteStore.find(item.id);
+          check(`${list} note-item`, item.shadowRoot, note, (root) =>
+            expectText(root, ".note-link", "textContent", note.title),
+          );
+
+          const editButton = item.shadowRoot.querySelector("#edit");
+          if (query || !editButton) continue;
+
+          editButton.click();
+          check(`${list} note-item in edit mode`, item.shadowRoot, note, (root) => [
+            ...expectText(root, "#edit-title", "value", note.title),
+            ...expectText(root, "#edit-body", "value", note.body),
+          ]);
+          item.shadowRoot.querySelector("#cancel").click();
+        }
+      },
+    );
+  }
+
+  window.history.replaceState(null, "", "/");
+}
+
+/**
+ * Renders the detail view and make-note for every note
+ *
+ * @param { Function } check - Receives a label, the shadow root and the note it shows
+ * @param { Object[] } shownNotes - The notes to render
+ * @returns { Promise<void> }
+ */
+async function renderNotes(check, shownNotes) {
+  for (const note of shownNotes) {
+    await mount(
+      "note-detail",
+      (element) => {
+        element.siblings = shownNotes;
+        element.note = note;
+      },
+      (element) =>
+        check("note-detail", element.shadowRoot, note, (root) =>
+          expectText(root, "h2", "textContent", note.title),
+        ),
+    );
+
+    HelperDraft.save({ title: note.title, body: note.body });
+    await mount(
+      "make-note",
+      () => {},
+      (element) =>
+        check("make-note draft", element.shadowRoot, note, (root) => [
+          ...expectText(root, "input", "value", note.title),
+          ...expectText(root, "textarea", "value", note.body),
+        ]),
+    );
+    HelperDraft.clear();
+  }
+}
+
+// Everything the components render for harmless notes is allowed
+const allowed = new Map(
+  Object.entries(CONTENT_ELEMENTS).map(([name, attributes]) => [name, new Set(attributes)]),
+);
+const allowHarmless = (label, root) => allow(allowed, root);
+
+useNotes(harmlessNotes);
+await renderLists(allowHarmless);
+await renderLists(allowHarmless, "bread");
+await renderLists(allowHarmless, "nothing like it");
+await renderNotes(allowHarmless, harmlessNotes);
+
+// The hostile notes may not add anything to it
+const problems = new Map();
+const checkHostile = (label, root, note, expectations = () => []) => {
+  const key = note ? `${label} ${note.id}` : label;
+  problems.set(key, [
+    ...(problems.get(key) || []),
+    ...findInjected(allowed, root),
+    ...expectations(root),
+  ]);
+};
+
+useNotes(notes);
+await renderLists(checkHostile);
+await renderLists(checkHostile, "alert");
+await renderNotes(checkHostile, notes);
+
+let failed = 0;
+
+problems.forEach((found, label) => {
+  if (found.length > 0) {
+    failed += 1;
+    console.error(`✗ ${label}`);
+    [...new Set(found)].forEach((problem) => console.error(`    ${problem}`));
+  } else {
+    console.log(`✓ ${label}`);
+  }
+});
+
+const shown = new Set([...problems.keys()].filter((label) => / notes-/.test(label)));
+const missing = notes.filter((note) => ![...shown].some((label) => label.endsWith(note.id)));
+missing.forEach((note) => console.error(`✗ ${note.id} was never rendered`));
+
+console.log(`\n${problems.size - failed} of ${problems.size} renderings show the notes as text`);
+window.close();
+process.exitCode = failed > 0 || missing.length > 0 ? 1 : 0;
@@ -0,0 +1,487 @@
+/**
+ * Local stand-in for the Dicoding Notes API v2
+ * Implements the same routes and `{ status, message, data }` envelope with in-memory storage,
+ * plus configurable latency and error injection to reproduce timeouts and failures.
+ *
+ * It also stands in for user accounts: `POST /register`, `POST /login` (returns an access and
+ * a refresh token), `PUT /authentications` (new access token), `DELETE /authentications`
+ * (logout) and `GET /users/me`. Note requests with `Authorization: Bearer <accessToken>` only
+ * see the notes of that user, requests without it share the anonymous notes, and an invalid
+ * or expired access token is answered with 401.
+ *
+ * Usage: node server/mock-server.js [--port 3001] [--latency 0] [--error-rate 0]
+ *                                   [--error-status 500] [--seed notes.json] [--token-ttl 900]
+ * Each option can also be set with an environment variable, e.g. MOCK_LATENCY=6000.
+ *
+ * The configuration can be changed while running with
+ * `POST /__mock/config` and a JSON body such as `{ "latency": 6000, "errorRate": 0.5 }`.
+ *
+ * @file mock-server.js
+ */
+
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+
+/**
+ * Reads an option from the command line (`--name value`) or the environment
+ *
+ * @param { string } name - Option name in kebab case
+ * @param { string } envName - Environment variable name
+ * @param { string } fallback - Value used when the option is not given
+ * @returns { string } The option value
+ */
+function readOption(name, envName, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+
+  if (index !== -1 && process.argv[index + 1] !== undefined) {
+    return process.argv[index + 1];
+  }
+
+  return process.env[envName] !== undefined ? process.env[envName] : fallback;
+}
+
+/**
+ * Loads the initial notes from a JSON file containing an array of notes
+ *
+ * @param { string } [seedPath] - Path to the seed file
+ * @returns { Object[] } The seed notes
+ */
+function loadSeed(seedPath) {
+  if (!seedPath) return [];
+
+  return JSON.parse(fs.readFileSync(seedPath, "utf8")).map((note) => ({
+    id: note.id || generateId(),
+    title: note.title,
+    body: note.body,
+    createdAt: note.createdAt || new Date().toISOString(),
+    archived: note.archived === true,
+  }));
+}
+
+/**
+ * Generates an ID in the same shape as the ones issued by the Dicoding API
+ *
+ * @returns { string } A new unique note ID
+ */
+function generateId() {
+  return `notes-${crypto.randomBytes(8).toString("base64url")}`;
+}
+
+/**
+ * Generates a random token for the access and refresh tokens
+ *
+ * @returns { string } A new token
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Hashes a password with a random salt, stored as `salt:hash`
+ *
+ * @param { string } password - The password
+ * @param { string } [salt] - The salt, generated when omitted
+ * @returns { string } The salted hash
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return `${salt}:${crypto.scryptSync(password, salt, 32).toString("hex")}`;
+}
+
+/**
+ * Checks a password against a hash from hashPassword
+ *
+ * @param { string } password - The password to check
+ * @param { string } stored - The stored `salt:hash`
+ * @returns { boolean }
+ */
+function verifyPassword(password, stored) {
+  const [salt] = stored.split(":");
+  return crypto.timingSafeEqual(Buffer.from(hashPassword(password, salt)), Buffer.from(stored));
+}
+
+/**
+ * Sends a JSON response in the API envelope
+ *
+ * @param { http.ServerResponse } res - The response
+ * @param { number } statusCode - HTTP status code
+ * @param { Object } payload - The `{ status, message, data }` envelope
+ */
+function send(res, statusCode, payload) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @param { http.IncomingMessage } req - The request
+ * @returns { Promise<Object> } The parsed body, or an empty object when there is none
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Checks a note payload the same way the real API does
+ *
+ * @param { Object } payload - Request body with title and body
+ * @returns { string|null } Error message, or null when the payload is valid
+ */
+function validateNote(payload) {
+  if (typeof payload.title !== "string" || typeof payload.body !== "string") {
+    return "Failed to save note. Please provide a title and body";
+  }
+
+  return null;
+}
+
+/**
+ * Checks a registration payload
+ *
+ * @param { Object } payload - Request body with name, email and password
+ * @returns { string|null } Error message, or null when the payload is valid
+ */
+function validateUser(payload) {
+  const { name, email, password } = payload;
+
+  if (typeof name !== "string" || !name.trim()) return "Please provide a name";
+  if (typeof email !== "string" || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return "Please provide a valid email";
+  }
+  if (typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+
+  return null;
+}
+
+/**
+ * Creates the mock API server
+ *
+ * @param { Object } [options]
+ * @param { number } [options.latency] - Delay in milliseconds before every response
+ * @param { number } [options.errorRate] - Share of requests (0 to 1) answered with an error
+ * @param { number } [options.errorStatus] - HTTP status used for injected errors
+ * @param { Object[] } [options.notes] - Initial notes, shared by anonymous requests
+ * @param { number } [options.tokenTtl] - Seconds an access token stays valid
+ * @returns { http.Server } The server, not yet listening
+ */
+function createServer(options = {}) {
+  const settings = {
+    latency: options.latency || 0,
+    errorRate: options.errorRate || 0,
+    errorStatus: options.errorStatus || 500,
+    tokenTtl: options.tokenTtl || 900,
+  };
+  // Notes by user ID, the anonymous notes are kept under ""
+  const notesByUser = new Map([
+    ["", new Map((options.notes || []).map((note) => [note.id, { ...note }]))],
+  ]);
+  const users = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+
+  const routes = [
+    {
+      method: "POST",
+      pattern: /^\/register$/,
+      public: true,
+      handle: ({ body }) => {
+        const error = validateUser(body);
+        if (error) return [400, error];
+        if (users.has(body.email)) return [400, "Email is already in use"];
+
+        const user = {
+          id: `user-${crypto.randomBytes(8).toString("base64url")}`,
+          name: body.name.trim(),
+          email: body.email,
+          password: hashPassword(body.password),
+        };
+        users.set(user.email, user);
+        notesByUser.set(user.id, new Map());
+
+        return [201, "User created", { userId: user.id }];
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/login$/,
+      public: true,
+      handle: ({ body }) => {
+        const user = typeof body.email === "string" && users.get(body.email);
+
+        if (
+          !user ||
+          typeof body.password !== "string" ||
+          !verifyPassword(body.password, user.password)
+        ) {
+          return [401, "Email or password is wrong"];
+        }
+
+        const refreshToken = generateToken();
+        refreshTokens.set(refreshToken, user.id);
+
+        return [200, "User logged in", { accessToken: issueAccessToken(user.id), refreshToken }];
+      },
+    },
+    {
+      method: "PUT",
+      pattern: /^\/authentications$/,
+      public: true,
+      handle: ({ body }) => {
+        const userId = refreshTokens.get(body.refreshToken);
+        if (!userId) return [400, "Refresh token is invalid"];
+
+        return [200, "Access token refreshed", { accessToken: issueAccessToken(userId) }];
+      },
+    },
+    {
+      method: "DELETE",
+      pattern: /^\/authentications$/,
+      public: true,
+      handle: ({ body }) => {
+        if (!refreshTokens.delete(body.refreshToken)) return [400, "Refresh token is invalid"];
+        return [200, "User logged out"];
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/users\/me$/,
+      handle: ({ user }) => {
+        if (!user) return [401, "Missing authentication"];
+        return [200, "User retrieved", { id: user.id, name: user.name, email: user.email }];
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/notes$/,
+      handle: ({ notes }) => [200, "Notes retrieved", listNotes(notes, false)],
+    },
+    {
+      method: "GET",
+      pattern: /^\/notes\/archived$/,
+      handle: ({ notes }) => [200, "Notes retrieved", listNotes(notes, true)],
+    },
+    {
+      method: "GET",
+      pattern: /^\/notes\/([^/]+)$/,
+      handle: ({ id, notes }) => [200, "Note retrieved", { ...findNote(notes, id) }],
+    },
+    {
+      method: "POST",
+      pattern: /^\/notes$/,
+      handle: ({ body, notes }) => {
+        const error = validateNote(body);
+        if (error) return [400, error];
+
+        const note = {
+          id: generateId(),
+          title: body.title,
+          body: body.body,
+          createdAt: new Date().toISOString(),
+          archived: false,
+        };
+        notes.set(note.id, note);
+
+        return [201, "Note created", { ...note }];
+      },
+    },
+    {
+      method: "PUT",
+      pattern: /^\/notes\/([^/]+)$/,
+      handle: ({ id, body, notes }) => {
+        const note = findNote(notes, id);
+        const error = validateNote(body);
+        if (error) return [400, error];
+
+        note.title = body.title;
+        note.body = body.body;
+
+        return [200, "Note updated", { ...note }];
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/notes\/([^/]+)\/archive$/,
+      handle: ({ id, notes }) => {
+        findNote(notes, id).archived = true;
+        return [200, "Note archived"];
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/notes\/([^/]+)\/unarchive$/,
+      handle: ({ id, notes }) => {
+        findNote(notes, id).archived = false;
+        return [200, "Note unarchived"];
+      },
+    },
+    {
+      method: "DELETE",
+      pattern: /^\/notes\/([^/]+)$/,
+      handle: ({ id, notes }) => {
+        findNote(notes, id);
+        notes.delete(id);
+        return [200, "Note deleted"];
+      },
+    },
+  ];
+
+  /**
+   * @param { string } userId - The user the token is issued to
+   * @returns { string } A new access token, valid for `settings.tokenTtl` seconds
+   */
+  function issueAccessToken(userId) {
+    const accessToken = generateToken();
+    accessTokens.set(accessToken, { userId, expiresAt: Date.now() + settings.tokenTtl * 1000 });
+    return accessToken;
+  }
+
+  /**
+   * @param { http.IncomingMessage } req - The request
+   * @returns { Object|null } The user of the bearer token, null without an Authorization header
+   * @throws { Error } - Throws a 401 error when the token is unknown or expired
+   */
+  function authenticate(req) {
+    const header = req.headers.authorization;
+    if (!header) return null;
+
+    const [scheme, token] = header.split(" ");
+    const session = scheme === "Bearer" && accessTokens.get(token);
+
+    if (!session || session.expiresAt < Date.now()) {
+      accessTokens.delete(token);
+      const error = new Error("Access token is invalid or expired");
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return [...users.values()].find((user) => user.id === session.userId);
+  }
+
+  /**
+   * @param { Map<string, Object> } notes - The notes of the requesting user
+   * @param { boolean } archived - Whether to list archived or active notes
+   * @returns { Object[] } Copies of the matching notes
+   */
+  function listNotes(notes, archived) {
+    return [...notes.values()]
+      .filter((note) => note.archived === archived)
+      .map((note) => ({ ...note }));
+  }
+
+  /**
+   * @param { Map<string, Object> } notes - The notes of the requesting user
+   * @param { string } id - The note ID
+   * @returns { Object } The stored note
+   * @throws { Error } - Throws a 404 error when the note does not exist
+   */
+  function findNote(notes, id) {
+    const note = notes.get(id);
+
+    if (!note) {
+      const error = new Error("Note is not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return note;
+  }
+
+  return http.createServer(async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    try {
+      const body = req.method === "GET" ? {} : await readBody(req);
+
+      // Runtime control, never delayed or failed
+      if (req.method === "POST" && pathname === "/__mock/config") {
+        ["latency", "errorRate", "errorStatus", "tokenTtl"].forEach((key) => {
+          if (typeof body[key] === "number") settings[key] = body[key];
+        });
+        send(res, 200, { status: "success", message: "Mock config updated", data: settings });
+        return;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, settings.latency));
+
+      if (Math.random() < settings.errorRate) {
+        send(res, settings.errorStatus, { status: "error", message: "Injected error" });
+        return;
+      }
+
+      const route = routes.find((candidate) => {
+        return candidate.method === req.method && candidate.pattern.test(pathname);
+      });
+
+      if (!route) {
+        send(res, 404, { status: "fail", message: "Route not found" });
+        return;
+      }
+
+      const [, id] = pathname.match(route.pattern);
+      const user = route.public ? null : authenticate(req);
+      const notes = notesByUser.get(user ? user.id : "");
+      const [statusCode, message, data] = route.handle({ id, body, user, notes });
+      const status = statusCode < 400 ? "success" : "fail";
+
+      send(res, statusCode, data === undefined ? { status, message } : { status, message, data });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        send(res, 400, { status: "fail", message: "Invalid JSON body" });
+        return;
+      }
+
+      if (error.statusCode) {
+        send(res, error.statusCode, { status: "fail", message: error.message });
+        return;
+      }
+
+      console.error(error);
+      send(res, 500, { status: "error", message: "Internal server error" });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = Number(readOption("port", "MOCK_PORT", "3001"));
+  const options = {
+    latency: Number(readOption("latency", "MOCK_LATENCY", "0")),
+    errorRate: Number(readOption("error-rate", "MOCK_ERROR_RATE", "0")),
+    errorStatus: Number(readOption("error-status", "MOCK_ERROR_STATUS", "500")),
+    notes: loadSeed(readOption("seed", "MOCK_SEED", "")),
+    tokenTtl: Number(readOption("token-ttl", "MOCK_TOKEN_TTL", "900")),
+  };
+
+  createServer(options).listen(port, () => {
+    console.log(`Mock notes API listening on http://localhost:${port}`);
+    console.log(`Latency ${options.latency}ms, error rate ${options.errorRate * 100}%`);
+  });
+}
+
+module.exports = { createServer };
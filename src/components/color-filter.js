@@ -0,0 +1,135 @@
+/**
+ * @class ColorFilter
+ * @extends HTMLElement
+ * @description Custom element with a select to filter a note list by color.
+ * The choice is stored by HelperColor, which notifies the lists with a "color-filter-changed" event.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperColor from "../helper/helperColor.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class ColorFilter extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._value = "";
+
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  /**
+   * List of attributes that trigger callback when changed
+   * @returns {string[]} Array of attribute names to observe
+   */
+  static get observedAttributes() {
+    return ["value"];
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: inline-block;
+    }
+
+    select {
+      padding: 5px;
+      border-radius: 4px;
+      font-size: 14px;
+      font-family: var(--primary-font);
+      color: var(--white);
+      background-color: var(--dark);
+      border: 1px solid var(--white-alpha-low);
+      cursor: pointer;
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the select and sets up event listeners
+   */
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.querySelector("select").addEventListener("change", this.handleChange);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.shadowRoot.querySelector("select").removeEventListener("change", this.handleChange);
+  }
+
+  /**
+   * Callback that fires when an observed attribute changes
+   * @param {string} name - Name of the attribute that changed
+   * @param {string} oldValue - Previous value of the attribute
+   * @param {string} newValue - New value of the attribute
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    this._value = newValue;
+
+    const select = this.shadowRoot.querySelector("select");
+    if (select) select.value = newValue;
+  }
+
+  /**
+   * Event handler for choosing another color
+   * @param {Event} event - The change event of the select
+   */
+  handleChange(event) {
+    this._value = event.target.value;
+    HelperColor.setFilter(this._value);
+  }
+
+  /**
+   * Renders the select with every color of the palette
+   */
+  render() {
+    this.getStyles();
+
+    const options = HelperColor.palette.map(
+      ({ name, label }) => html`<option value="${name}">${label}</option>`,
+    );
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <select aria-label="Filter notes by color">
+        <option value="">All colors</option>
+        ${options}
+      </select>
+    `;
+
+    this.shadowRoot.querySelector("select").value = this._value;
+  }
+
+  // Getter and setter for the color the list is filtered by
+  get value() {
+    return this._value;
+  }
+
+  set value(value) {
+    this._value = value;
+    this.setAttribute("value", value);
+  }
+}
+
+customElements.define("color-filter", ColorFilter);
@@ -0,0 +1,281 @@
+/**
+ * @class ConfirmDialog
+ * @extends HTMLElement
+ * @description Custom element with a modal dialog that asks the user to confirm a
+ * destructive action. Traps focus while open, closes with Escape or a click on the backdrop,
+ * and returns focus to the element that opened it. Open it with `confirm()`, usually
+ * through HelperConfirm.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class ConfirmDialog extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._resolve = null;
+    this._returnFocus = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    .backdrop {
+      position: fixed;
+      inset: 0;
+      z-index: 200;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 1rem;
+      background-color: rgba(0, 0, 0, .7);
+    }
+
+    .backdrop[hidden] {
+      display: none;
+    }
+
+    .dialog {
+      display: flex;
+      flex-direction: column;
+      gap: 15px;
+      width: 400px;
+      max-width: 100%;
+      padding: 20px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--white);
+    }
+
+    h2 {
+      color: var(--primary);
+      font-size: 20px;
+    }
+
+    p {
+      overflow-wrap: anywhere;
+    }
+
+    label {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    .dialog-action {
+      display: flex;
+      justify-content: flex-end;
+      gap: 10px;
+    }
+
+    button {
+      padding: 5px 12px;
+      font-size: 15px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--primary);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    button:hover {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    #confirm {
+      border-color: #f87171;
+      background-color: #f87171;
+      color: var(--dark);
+    }
+
+    #confirm:hover {
+      background-color: var(--dark);
+      color: #f87171;
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the closed dialog and sets up event listeners
+   */
+  connectedCallback() {
+    this.render();
+
+    const backdrop = this.shadowRoot.querySelector(".backdrop");
+    backdrop.addEventListener("keydown", this.handleKeydown);
+    backdrop.addEventListener("click", this.handleClick);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Cancels an open prompt and removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.close(false);
+
+    const backdrop = this.shadowRoot.querySelector(".backdrop");
+    backdrop.removeEventListener("keydown", this.handleKeydown);
+    backdrop.removeEventListener("click", this.handleClick);
+  }
+
+  /**
+   * Opens the dialog and waits for the user's answer
+   * Opening it again while a prompt is open cancels the previous prompt.
+   *
+   * @param {Object} options
+   * @param {string} options.title - Heading of the dialog
+   * @param {string} options.message - Question shown below the heading
+   * @param {string} [options.confirmLabel] - Text of the confirm button
+   * @param {string} [options.cancelLabel] - Text of the cancel button
+   * @param {boolean} [options.allowRemember] - Show the "Don't ask again" checkbox
+   * @returns {Promise<{ confirmed: boolean, remember: boolean }>} The user's answer
+   */
+  confirm({ title, message, confirmLabel = "Delete", cancelLabel = "Cancel", allowRemember }) {
+    this.close(false);
+
+    const root = this.shadowRoot;
+    root.querySelector("#confirm-title").textContent = title;
+    root.querySelector("#confirm-message").textContent = message;
+    root.querySelector("#confirm").textContent = confirmLabel;
+    root.querySelector("#cancel").textContent = cancelLabel;
+    root.querySelector(".remember").hidden = !allowRemember;
+    root.querySelector("#remember").checked = false;
+
+    // Remember the focused element, usually the button inside another component's shadow root
+    let returnFocus = document.activeElement;
+    while (returnFocus && returnFocus.shadowRoot && returnFocus.shadowRoot.activeElement) {
+      returnFocus = returnFocus.shadowRoot.activeElement;
+    }
+    this._returnFocus = returnFocus;
+    root.querySelector(".backdrop").hidden = false;
+    root.querySelector("#cancel").focus();
+
+    return new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+  }
+
+  /**
+   * Closes the dialog and resolves the open prompt
+   * @param {boolean} confirmed - Whether the user confirmed the action
+   */
+  close(confirmed) {
+    if (!this._resolve) return;
+
+    const resolve = this._resolve;
+    const remember = confirmed && this.shadowRoot.querySelector("#remember").checked;
+    this._resolve = null;
+    this.shadowRoot.querySelector(".backdrop").hidden = true;
+
+    if (this._returnFocus && this._returnFocus.isConnected) this._returnFocus.focus();
+    this._returnFocus = null;
+
+    resolve({ confirmed, remember });
+  }
+
+  /**
+   * Returns the elements that can receive focus inside the dialog
+   * @returns {HTMLElement[]} Focusable elements in tab order
+   */
+  getFocusableElements() {
+    return [...this.shadowRoot.querySelectorAll("input, button")].filter(
+      (element) => !element.closest("[hidden]"),
+    );
+  }
+
+  /**
+   * Event handler for keys pressed inside the dialog
+   * Escape cancels, Tab and Shift+Tab wrap around so focus stays in the dialog
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.close(false);
+      return;
+    }
+
+    if (event.key !== "Tab") return;
+
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = this.shadowRoot.activeElement;
+
+    if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Event handler for clicks inside the dialog and on the backdrop
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    if (event.target.id === "confirm") {
+      this.close(true);
+    } else if (event.target.id === "cancel" || event.target.classList.contains("backdrop")) {
+      this.close(false);
+    }
+  }
+
+  /**
+   * Renders the hidden dialog
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <div class="backdrop" hidden>
+        <div
+          class="dialog"
+          role="alertdialog"
+          aria-modal="true"
+          aria-labelledby="confirm-title"
+          aria-describedby="confirm-message"
+        >
+          <h2 id="confirm-title"></h2>
+          <p id="confirm-message"></p>
+          <label class="remember">
+            <input type="checkbox" id="remember" />
+            Don't ask again
+          </label>
+          <div class="dialog-action">
+            <button id="cancel"></button>
+            <button id="confirm"></button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define("confirm-dialog", ConfirmDialog);
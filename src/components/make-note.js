@@ -3,9 +3,15 @@
  * @extends HTMLElement
  * @description Custom element that provides a form for creating new notes.
  * Validates input fields and dispatches events when a note is created.
+ * The draft is saved while typing and restored on load, and only cleared once the note
+ * was created or queued, so a failed create or a reload does not lose the text.
  * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
  */
 import globalStyles from "../globalStylesheet.js";
+import HelperDraft from "../helper/helperDraft.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
 
 class MakeNote extends HTMLElement {
   /**
@@ -102,6 +108,28 @@ class MakeNote extends HTMLElement {
       color: #b91c1c;
     }
 
+    .draft-status {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 10px;
+    }
+
+    .draft-status[hidden] {
+      display: none;
+    }
+
+    .draft-status button {
+      padding: 5px 10px;
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    .draft-status button:hover {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
     .loading-spinner {
       display: inline-block;
       width: 16px;
@@ -131,6 +159,7 @@ class MakeNote extends HTMLElement {
   connectedCallback() {
     this.render();
     this.setupEventListeners();
+    this.restoreDraft();
   }
 
   /**
@@ -144,10 +173,22 @@ class MakeNote extends HTMLElement {
     const titleError = this.shadowRoot.querySelector("#titleError");
     const bodyError = this.shadowRoot.querySelector("#bodyError");
     const button = this.shadowRoot.querySelector("button");
+    const discardButton = this.shadowRoot.querySelector("#discard-draft");
 
     // Update character count on input event
     titleInput.addEventListener("input", () => {
       this.updateCharacterCount(titleInput.value.length, charCountSpan);
+      this.saveDraft();
+    });
+
+    // Save the body as it is typed
+    contentInput.addEventListener("input", () => {
+      this.saveDraft();
+    });
+
+    // Throw the draft away on request
+    discardButton.addEventListener("click", () => {
+      this.discardDraft();
     });
 
     // Validate title on blur
@@ -181,6 +222,59 @@ class MakeNote extends HTMLElement {
     countElement.textContent = `Remaining Character: ${remaining}`;
   }
 
+  /**
+   * Saves the current title and body as the draft
+   */
+  saveDraft() {
+    const title = this.shadowRoot.querySelector("input").value;
+    const body = this.shadowRoot.querySelector("textarea").value;
+
+    HelperDraft.save({ title, body });
+    this.showDraftStatus(title || body ? "Draft saved" : "");
+  }
+
+  /**
+   * Fills the form with the saved draft, if there is one
+   */
+  restoreDraft() {
+    const draft = HelperDraft.load();
+    if (!draft) return;
+
+    this.shadowRoot.querySelector("input").value = draft.title;
+    this.shadowRoot.querySelector("textarea").value = draft.body;
+    this.updateCharacterCount(draft.title.length, this.shadowRoot.querySelector("span"));
+    this.showDraftStatus("Draft restored");
+  }
+
+  /**
+   * Clears the form and the saved draft
+   */
+  discardDraft() {
+    HelperDraft.clear();
+    this.resetForm();
+  }
+
+  /**
+   * Empties the form, its validation messages and the draft status
+   */
+  resetForm() {
+    this.shadowRoot.querySelector("form").reset();
+    this.updateCharacterCount(0, this.shadowRoot.querySelector("span"));
+    this.shadowRoot.querySelector("#titleError").textContent = "";
+    this.shadowRoot.querySelector("#bodyError").textContent = "";
+    this.showDraftStatus("");
+  }
+
+  /**
+   * Shows whether a draft is kept, with the action to discard it
+   * @param {string} message - The status, empty hides the draft controls
+   */
+  showDraftStatus(message) {
+    const status = this.shadowRoot.querySelector(".draft-status");
+    status.hidden = !message;
+    status.querySelector(".draft-message").textContent = message;
+  }
+
   /**
    * Validates the title input
    * @param {string} title - The title to validate
@@ -215,54 +309,65 @@ class MakeNote extends HTMLElement {
 
   /**
    * Handles the form submission event
+   * The form and draft are kept until the note is created, so a failed create can be sent again
    * @param {Event} event - The form submission event
    * @param {Object} elements - Object containing form elements
    */
   handleFormSubmit(event, elements) {
-    const { titleInput, contentInput, charCountSpan, button } = elements;
+    const { titleInput, contentInput, button } = elements;
     event.preventDefault();
 
+    const submitted = { title: titleInput.value, body: contentInput.value };
+
     const noteCreatedEvent = new CustomEvent("note-created", {
       bubbles: true,
       composed: true,
       detail: {
-        title: titleInput.value,
-        body: contentInput.value,
+        ...submitted,
         button: button,
+        onComplete: (note) => {
+          if (!note) return;
+
+          // Keep whatever was typed while the note was being created
+          if (HelperDraft.matches(submitted)) HelperDraft.clear();
+          if (titleInput.value === submitted.title && contentInput.value === submitted.body) {
+            this.resetForm();
+          }
+        },
       },
     });
 
     this.dispatchEvent(noteCreatedEvent);
-
-    // Reset form and character count
-    event.target.reset();
-    this.updateCharacterCount(0, charCountSpan);
   }
 
   render() {
     this.getStyles();
 
-    this.shadowRoot.innerHTML = `
-      ${this._style.outerHTML}
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
 
       <h2>Make Note</h2>
       <form class="make-note">
         <span>Remaining Character: ${this._maxTitleLength}</span>
-        <input 
-          minlength="${this._titleMinLength}" 
-          required 
-          type="text" 
-          placeholder="This is title" 
+        <input
+          minlength="${this._titleMinLength}"
+          required
+          type="text"
+          placeholder="This is title"
           maxlength="${this._maxTitleLength}"
-        >
-        <p id="titleError"></p> 
-        <textarea 
-          minlength="${this._contentMinLength}" 
-          required 
+        />
+        <p id="titleError"></p>
+        <textarea
+          minlength="${this._contentMinLength}"
+          required
           placeholder="Write your note in here"
         ></textarea>
-        <p id="bodyError"></p> 
+        <p id="bodyError"></p>
         <button type="submit">Make Note</button>
+        <div class="draft-status" hidden>
+          <span class="draft-message"></span>
+          <button type="button" id="discard-draft">Discard draft</button>
+        </div>
       </form>
     `;
   }
@@ -0,0 +1,363 @@
+/**
+ * @class NoteBackup
+ * @extends HTMLElement
+ * @description Custom element for backing up notes and restoring them.
+ * Exports all active and archived notes as JSON or as a zip of Markdown files, and imports
+ * such files again through a "notes-import" event, listing the outcome of every file.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import NoteStore from "../data/noteStore.js";
+import Outbox from "../data/outbox.js";
+import globalStyles from "../globalStylesheet.js";
+import HelperBackup from "../helper/helperBackup.js";
+import HelperLoading from "../helper/helperLoading.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+import HelperToast from "../helper/helperToast.js";
+
+const { html, raw } = HelperTemplate;
+
+const STATUS_LABELS = {
+  imported: "Imported",
+  duplicate: "Skipped",
+  error: "Failed",
+};
+
+class NoteBackup extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._importing = false;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleFilesChosen = this.handleFilesChosen.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      margin-top: 2rem;
+    }
+
+    h2 {
+      color: var(--light);
+    }
+
+    section {
+      margin-top: 20px;
+      padding: 15px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      background-color: var(--dark);
+    }
+
+    h3 {
+      font-size: 16px;
+      color: var(--white);
+    }
+
+    p {
+      margin-top: 5px;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    .backup-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px;
+      margin-top: 10px;
+    }
+
+    button,
+    .import-label {
+      display: inline-flex;
+      justify-content: center;
+      gap: 5px;
+      padding: 8px 12px;
+      font-size: 14px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      background-color: var(--primary);
+      color: var(--white);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    button:hover,
+    .import-label:hover {
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    button:disabled,
+    .import-label[aria-disabled="true"] {
+      opacity: .5;
+      cursor: not-allowed;
+    }
+
+    .import-label:focus-within {
+      outline: 2px solid var(--light);
+    }
+
+    .import-label input {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      opacity: 0;
+    }
+
+    .import-progress {
+      color: var(--light);
+    }
+
+    .import-report {
+      margin-top: 10px;
+      padding-left: 0;
+      list-style: none;
+      font-size: 14px;
+    }
+
+    .import-report li {
+      display: flex;
+      gap: 10px;
+      padding: 5px 0;
+      border-top: 1px solid rgba(255,255,255,0.1);
+      color: var(--white);
+      overflow-wrap: anywhere;
+    }
+
+    .import-status {
+      flex-shrink: 0;
+      width: 70px;
+      font-weight: 700;
+    }
+
+    .import-report .duplicate .import-status {
+      color: var(--white-alpha-low);
+    }
+
+    .import-report .error .import-status {
+      color: var(--light);
+    }
+
+    .loading-spinner {
+      display: inline-block;
+      width: 16px;
+      height: 16px;
+      border: 2px solid rgba(255,255,255,0.3);
+      border-radius: 50%;
+      border-color: rgba(255,255,255,0.2);
+      border-top-color: #fff;
+      animation: spin 0.8s linear infinite;
+      vertical-align: middle;
+      margin-right: 5px;
+    }
+
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the view and sets up event listeners
+   */
+  connectedCallback() {
+    this._controller = new AbortController();
+    this.render();
+    this.shadowRoot.addEventListener("click", this.handleClick);
+    this.shadowRoot
+      .querySelector("#import-file")
+      .addEventListener("change", this.handleFilesChosen);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    // An export nobody waits for anymore should not start a download
+    this._controller.abort();
+    this.shadowRoot.removeEventListener("click", this.handleClick);
+    this.shadowRoot
+      .querySelector("#import-file")
+      .removeEventListener("change", this.handleFilesChosen);
+  }
+
+  /**
+   * Event handler for the export buttons
+   * @param {MouseEvent} event - The click event
+   * @returns {Promise<void>}
+   */
+  async handleClick(event) {
+    const button = event.target.closest("button[data-format]");
+    if (!button) return;
+
+    const buttonText = button.textContent.trim();
+    HelperLoading.showLoading(button);
+
+    try {
+      const notes = await this.fetchAllNotes();
+
+      if (button.dataset.format === "json") {
+        HelperBackup.download(HelperBackup.toJson(notes), HelperBackup.getFileName("json"));
+      } else {
+        HelperBackup.download(HelperBackup.toMarkdownZip(notes), HelperBackup.getFileName("zip"));
+      }
+
+      HelperToast.success(`Exported ${notes.length} ${notes.length === 1 ? "note" : "notes"}`);
+    } catch (error) {
+      if (error.code === "aborted") return;
+      HelperToast.error(`Could not export notes: ${error.message}`);
+    }
+
+    HelperLoading.hideLoading(button, buttonText);
+  }
+
+  /**
+   * Loads active and archived notes, including changes still waiting in the outbox
+   * @returns {Promise<Object[]>} Active notes followed by archived notes
+   */
+  async fetchAllNotes() {
+    const { active, archived } = await NoteStore.loadAll({ signal: this._controller.signal });
+    return [...Outbox.applyTo(active, false), ...Outbox.applyTo(archived, true)];
+  }
+
+  /**
+   * Event handler for the file input, reads the files and asks for the notes to be created
+   * @param {Event} event - The change event of the file input
+   * @returns {Promise<void>}
+   * @fires CustomEvent#notes-import
+   */
+  async handleFilesChosen(event) {
+    const input = event.target;
+    const files = [...input.files];
+    // Clear the input so choosing the same file again imports it again
+    input.value = "";
+    if (files.length === 0 || this._importing) return;
+
+    this.setImporting(true);
+    this.setProgress("Reading files");
+    this.renderReport([]);
+
+    const items = await HelperBackup.readFiles(files);
+    this.setProgress(`Importing 0 of ${items.length}`);
+
+    this.dispatchEvent(
+      new CustomEvent("notes-import", {
+        bubbles: true,
+        composed: true,
+        detail: {
+          items,
+          onProgress: (done, total) => this.setProgress(`Importing ${done} of ${total}`),
+          onComplete: (results) => {
+            this.setImporting(false);
+            this.setProgress(this.getSummary(results));
+            this.renderReport(results);
+          },
+        },
+      }),
+    );
+  }
+
+  /**
+   * Enables or disables the import while one is running
+   * @param {boolean} importing - Whether an import is running
+   */
+  setImporting(importing) {
+    this._importing = importing;
+    this.shadowRoot.querySelector("#import-file").disabled = importing;
+    this.shadowRoot.querySelector(".import-label").setAttribute("aria-disabled", String(importing));
+  }
+
+  /**
+   * Shows the progress or the outcome of the import
+   * @param {string} text - The message
+   */
+  setProgress(text) {
+    this.shadowRoot.querySelector(".import-progress").textContent = text;
+  }
+
+  /**
+   * Sums up an import
+   * @param {Object[]} results - The outcome of every import item
+   * @returns {string} E.g. "3 imported, 1 skipped as duplicate, 1 failed"
+   */
+  getSummary(results) {
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const parts = [`${count("imported")} imported`];
+
+    if (count("duplicate") > 0) parts.push(`${count("duplicate")} skipped as duplicate`);
+    if (count("error") > 0) parts.push(`${count("error")} failed`);
+
+    return parts.join(", ");
+  }
+
+  /**
+   * Lists the outcome of every imported file or note
+   * @param {{ source: string, status: string, message: string }[]} results - The import results
+   */
+  renderReport(results) {
+    this.shadowRoot.querySelector(".import-report").innerHTML = html`
+      ${results.map(
+        ({ source, status, message }) =>
+          html`<li class="${status}">
+            <span class="import-status">${STATUS_LABELS[status]}</span>
+            <span>${source}${message ? html`: ${message}` : ""}</span>
+          </li>`,
+      )}
+    `;
+  }
+
+  /**
+   * Renders the export and import sections
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <h2>Backup</h2>
+      <section aria-labelledby="export-heading">
+        <h3 id="export-heading">Export</h3>
+        <p>Download all active and archived notes.</p>
+        <div class="backup-actions">
+          <button data-format="json">Export JSON</button>
+          <button data-format="markdown">Export Markdown (zip)</button>
+        </div>
+      </section>
+      <section aria-labelledby="import-heading">
+        <h3 id="import-heading">Import</h3>
+        <p>
+          Choose JSON exports, Markdown files or zip archives of them. Notes that already exist with
+          the same title and body are skipped.
+        </p>
+        <div class="backup-actions">
+          <label class="import-label">
+            Choose files
+            <input id="import-file" type="file" accept=".json,.md,.zip" multiple />
+          </label>
+        </div>
+        <p class="import-progress" role="status"></p>
+        <ul class="import-report"></ul>
+      </section>
+    `;
+  }
+}
+
+customElements.define("note-backup", NoteBackup);
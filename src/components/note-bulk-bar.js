@@ -0,0 +1,271 @@
+/**
+ * @class NoteBulkBar
+ * @extends HTMLElement
+ * @description Custom element with the controls of a note list in selection mode:
+ * "select all", the number of selected notes, the bulk actions and their progress.
+ * Dispatches "bulk-select-all", "bulk-action" and "bulk-done" events that the owning list handles.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class NoteBulkBar extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._count = "0";
+    this._total = "0";
+    this._archived = "";
+    this._progress = "";
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleSelectAll = this.handleSelectAll.bind(this);
+  }
+
+  /**
+   * List of attributes that trigger callback when changed
+   * @returns {string[]} Array of attribute names to observe
+   */
+  static get observedAttributes() {
+    return ["count", "total", "archived", "progress"];
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      margin-top: 10px;
+    }
+
+    .bulk-bar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 10px;
+      padding: 10px;
+      font-size: 14px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--white);
+    }
+
+    label {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      cursor: pointer;
+    }
+
+    input {
+      width: 16px;
+      height: 16px;
+      accent-color: var(--primary);
+      cursor: pointer;
+    }
+
+    .bulk-count {
+      color: var(--white-alpha-low);
+    }
+
+    .bulk-progress {
+      flex: 1;
+      text-align: right;
+      color: var(--light);
+    }
+
+    button {
+      padding: 3px 10px;
+      font-size: 14px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--primary);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    button:hover:not(:disabled) {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    button:disabled {
+      opacity: .5;
+      cursor: not-allowed;
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the controls and sets up event listeners
+   */
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.addEventListener("click", this.handleClick);
+    this.shadowRoot.querySelector("#select-all").addEventListener("change", this.handleSelectAll);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.shadowRoot.removeEventListener("click", this.handleClick);
+    this.shadowRoot
+      .querySelector("#select-all")
+      .removeEventListener("change", this.handleSelectAll);
+  }
+
+  /**
+   * Callback that fires when an observed attribute changes
+   * @param {string} name - Name of the attribute that changed
+   * @param {string} oldValue - Previous value of the attribute
+   * @param {string} newValue - New value of the attribute
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    this[`_${name}`] = newValue || "";
+    if (this.shadowRoot.querySelector(".bulk-bar")) this.update();
+  }
+
+  /**
+   * Event handler for the action buttons
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    const button = event.target.closest("button");
+    if (!button) return;
+
+    if (button.dataset.action) {
+      this.dispatch("bulk-action", { action: button.dataset.action });
+    } else if (button.id === "done") {
+      this.dispatch("bulk-done", {});
+    }
+  }
+
+  /**
+   * Event handler for the "select all" checkbox
+   * @param {Event} event - The change event
+   */
+  handleSelectAll(event) {
+    this.dispatch("bulk-select-all", { selected: event.target.checked });
+  }
+
+  /**
+   * Dispatches an event to the owning list
+   * @param {string} name - The event name
+   * @param {Object} detail - The event detail
+   */
+  dispatch(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true, detail }));
+  }
+
+  /**
+   * Updates the controls in place so focus stays where it is
+   */
+  update() {
+    const count = Number(this._count);
+    const total = Number(this._total);
+    const busy = Boolean(this._progress);
+    const selectAll = this.shadowRoot.querySelector("#select-all");
+
+    selectAll.checked = total > 0 && count === total;
+    selectAll.indeterminate = count > 0 && count < total;
+    selectAll.disabled = busy || total === 0;
+
+    this.shadowRoot.querySelector(".bulk-count").textContent = `${count} of ${total} selected`;
+    this.shadowRoot.querySelector(".bulk-progress").textContent = this._progress;
+
+    const archiveButton = this.shadowRoot.querySelector(".bulk-archive");
+    archiveButton.dataset.action = this._archived === "true" ? "unarchive" : "archive";
+    archiveButton.textContent = this._archived === "true" ? "Unarchive" : "Archive";
+
+    this.shadowRoot.querySelectorAll("[data-action]").forEach((button) => {
+      button.disabled = busy || count === 0;
+    });
+    this.shadowRoot.querySelector("#done").disabled = busy;
+  }
+
+  /**
+   * Renders the controls
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <div class="bulk-bar">
+        <label>
+          <input type="checkbox" id="select-all" />
+          Select all
+        </label>
+        <span class="bulk-count"></span>
+        <button class="bulk-archive" data-action="archive">Archive</button>
+        <button class="bulk-delete" data-action="delete">Delete</button>
+        <span class="bulk-progress" role="status"></span>
+        <button id="done">Done</button>
+      </div>
+    `;
+
+    this.update();
+  }
+
+  // Getter and setter for the number of selected notes
+  get count() {
+    return this._count;
+  }
+
+  set count(value) {
+    this._count = String(value);
+    this.setAttribute("count", value);
+  }
+
+  // Getter and setter for the number of notes that can be selected
+  get total() {
+    return this._total;
+  }
+
+  set total(value) {
+    this._total = String(value);
+    this.setAttribute("total", value);
+  }
+
+  // Getter and setter for whether the list holds archived notes
+  get archived() {
+    return this._archived;
+  }
+
+  set archived(value) {
+    this._archived = String(value);
+    this.setAttribute("archived", value);
+  }
+
+  // Getter and setter for the progress message, the actions are disabled while it is set
+  get progress() {
+    return this._progress;
+  }
+
+  set progress(value) {
+    this._progress = value;
+    this.setAttribute("progress", value);
+  }
+}
+
+customElements.define("note-bulk-bar", NoteBulkBar);
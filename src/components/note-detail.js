@@ -0,0 +1,364 @@
+/**
+ * @class NoteDetail
+ * @extends HTMLElement
+ * @description Custom element that shows a single note on its own page, with the full
+ * title, body, creation date and archived status. Delete and archive actions dispatch the
+ * same events as note-item, and links lead to the previous and next note of its list.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import markdownStyles from "../markdownStylesheet.js";
+import HelperConfirm from "../helper/helperConfirm.js";
+import HelperMarkdown from "../helper/helperMarkdown.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class NoteDetail extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles, markdownStyles];
+    this._style = document.createElement("style");
+    this._note = null;
+    this._siblings = [];
+
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      margin-top: 2rem;
+    }
+
+    a {
+      color: var(--light);
+    }
+
+    .detail-back {
+      font-size: 14px;
+    }
+
+    article {
+      margin-top: 10px;
+      padding: 20px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--white);
+    }
+
+    h2 {
+      color: var(--light);
+      overflow-wrap: anywhere;
+    }
+
+    .detail-meta {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 10px;
+      margin-top: 5px;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    .detail-status {
+      padding: 0 5px;
+      font-size: 12px;
+      border: 1px solid var(--light);
+      border-radius: 4px;
+      color: var(--light);
+    }
+
+    .detail-status.pending {
+      border-style: dashed;
+    }
+
+    .note-action button:disabled {
+      opacity: .5;
+      cursor: not-allowed;
+    }
+
+    .note-content {
+      margin-top: 20px;
+      font-size: 16px;
+      font-weight: lighter;
+      line-height: 1.6;
+      overflow-wrap: anywhere;
+    }
+
+    .note-content > * + * {
+      margin-top: 10px;
+    }
+
+    .note-content h1,
+    .note-content h2,
+    .note-content h3,
+    .note-content h4,
+    .note-content h5,
+    .note-content h6 {
+      font-size: 17px;
+      color: var(--white);
+    }
+
+    .note-content h1 {
+      font-size: 22px;
+    }
+
+    .note-content h2 {
+      font-size: 19px;
+    }
+
+    .note-action {
+      display: flex;
+      gap: 10px;
+      margin-top: 20px;
+      padding-top: 10px;
+      border-top: 1px solid var(--dark-alpha-low);
+    }
+
+    .delete,
+    .archive {
+      padding: 5px 12px;
+      font-size: 14px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    .delete {
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    .delete:hover {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    .archive {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    .archive:hover {
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    .detail-nav {
+      display: flex;
+      justify-content: space-between;
+      gap: 10px;
+      margin-top: 10px;
+      font-size: 14px;
+    }
+
+    .detail-nav a {
+      max-width: 45%;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .detail-nav .next {
+      margin-left: auto;
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the note and sets up event listeners
+   */
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.addEventListener("click", this.handleClick);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.shadowRoot.removeEventListener("click", this.handleClick);
+  }
+
+  /**
+   * Formats the creation date with weekday and time
+   * @param {string} dateString - ISO date string
+   * @returns {string} The formatted date
+   */
+  formatDate(dateString) {
+    return new Date(dateString).toLocaleString("en-US", {
+      weekday: "long",
+      day: "2-digit",
+      month: "long",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  /**
+   * Builds the path of a note's detail view
+   * @param {Object} note - The note
+   * @returns {string} The link target
+   */
+  getNoteHref(note) {
+    return `#/notes/${encodeURIComponent(note.id)}`;
+  }
+
+  /**
+   * Event handler for the action buttons
+   * @param {MouseEvent} event - The click event
+   * @returns {Promise<void>}
+   */
+  async handleClick(event) {
+    const button = event.target.closest("button");
+    if (!button) return;
+
+    const eventName = {
+      delete: "note-deleted",
+      archive: "note-archived",
+      unarchive: "note-unarchived",
+    }[button.id];
+    if (!eventName) return;
+
+    if (eventName === "note-deleted") {
+      const confirmed = await HelperConfirm.confirm({
+        key: "delete-note",
+        title: "Delete note?",
+        message: `"${this._note.title}" will be deleted.`,
+      });
+
+      if (!confirmed) return;
+    }
+
+    this.dispatchEvent(
+      new CustomEvent(eventName, {
+        bubbles: true,
+        composed: true,
+        detail: {
+          id: this._note.id,
+          note: { ...this._note },
+          button,
+        },
+      }),
+    );
+  }
+
+  /**
+   * Renders the note with its actions and the links to its neighbours
+   */
+  render() {
+    if (!this._note) return;
+
+    this.getStyles();
+
+    const note = this._note;
+    const { previous, next } = this.getNeighbours(this._siblings);
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <a class="detail-back" href="${note.archived ? "#/archived" : "#/"}">
+        &larr; Back to ${note.archived ? "archived notes" : "notes"}
+      </a>
+      <article>
+        <h2>${note.title}</h2>
+        <div class="detail-meta">
+          <time datetime="${note.createdAt}">${this.formatDate(note.createdAt)}</time>
+          <span class="detail-status">${note.archived ? "Archived" : "Active"}</span>
+          ${note.pending ? html`<span class="detail-status pending">Pending sync</span>` : ""}
+          ${note.saving ? html`<span class="detail-status pending">Saving</span>` : ""}
+        </div>
+        <div class="note-content"></div>
+        <div class="note-action">
+          <button id="delete" class="delete" ${note.saving ? "disabled" : ""}>Delete</button>
+          <button
+            id="${note.archived ? "unarchive" : "archive"}"
+            class="archive"
+            ${note.saving ? "disabled" : ""}
+          >
+            ${note.archived ? "Unarchive" : "Archive"}
+          </button>
+        </div>
+      </article>
+      <nav class="detail-nav" aria-label="Notes">
+        ${
+          previous
+            ? html`<a class="previous" rel="prev" href="${this.getNoteHref(previous)}">
+                &larr; ${previous.title}
+              </a>`
+            : ""
+        }
+        ${
+          next
+            ? html`<a class="next" rel="next" href="${this.getNoteHref(next)}">
+                ${next.title} &rarr;
+              </a>`
+            : ""
+        }
+      </nav>
+    `;
+
+    this.shadowRoot.querySelector(".note-content").appendChild(HelperMarkdown.render(note.body));
+  }
+
+  /**
+   * Finds the notes before and after the displayed one
+   * @param {Object[]} siblings - The notes of the list in display order
+   * @returns {{ previous: Object|null, next: Object|null }} The neighbours, null at either end
+   */
+  getNeighbours(siblings) {
+    const index = this._note ? siblings.findIndex((sibling) => sibling.id === this._note.id) : -1;
+
+    return {
+      previous: index > 0 ? siblings[index - 1] : null,
+      next: index >= 0 ? siblings[index + 1] || null : null,
+    };
+  }
+
+  // Getter and setter for the displayed note, rendered again only when it changed
+  get note() {
+    return this._note;
+  }
+
+  set note(value) {
+    const changed = JSON.stringify(value) !== JSON.stringify(this._note);
+    this._note = value;
+    if (changed && this.isConnected) this.render();
+  }
+
+  // Getter and setter for the notes of the list, in display order, used for previous and next
+  // Rendered again only when the links to the neighbours changed
+  get siblings() {
+    return this._siblings;
+  }
+
+  set siblings(value) {
+    const links = (siblings) =>
+      JSON.stringify(
+        Object.values(this.getNeighbours(siblings)).map((note) => note && [note.id, note.title]),
+      );
+    const changed = links(value) !== links(this._siblings);
+    this._siblings = value;
+    if (changed && this.isConnected) this.render();
+  }
+}
+
+customElements.define("note-detail", NoteDetail);
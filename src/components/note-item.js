@@ -2,10 +2,29 @@
  * @class NoteItem
  * @extends HTMLElement
  * @description Custom element that displays a single note with title, content, date and action buttons.
- * Provides functionality for deleting and archiving/unarchiving notes.
+ * Provides functionality for deleting and archiving/unarchiving notes, and for editing them
+ * when the storage supports it.
+ * The body is rendered as Markdown, with a per-note toggle to show the raw text instead.
+ * Notes can be pinned and colored, both are kept in NoteMeta since the server has no field
+ * for them. The color is applied through the --note-background and --note-accent custom
+ * properties of the host.
  * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
  */
+import NoteApi from "../data/noteApi.js";
+import NoteMeta from "../data/noteMeta.js";
 import globalStyles from "../globalStylesheet.js";
+import markdownStyles from "../markdownStylesheet.js";
+import HelperColor from "../helper/helperColor.js";
+import HelperSearch from "../helper/helperSearch.js";
+import HelperTags from "../helper/helperTags.js";
+import HelperConfirm from "../helper/helperConfirm.js";
+import HelperMarkdown from "../helper/helperMarkdown.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+// IDs of the notes currently shown as raw text, kept across re-renders of the lists
+const rawNoteIds = new Set();
 
 class noteitem extends HTMLElement {
   /**
@@ -15,22 +34,40 @@ class noteitem extends HTMLElement {
     super();
 
     this.attachShadow({ mode: "open" });
-    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this.shadowRoot.adoptedStyleSheets = [globalStyles, markdownStyles];
     this._deletebutton = null;
     this._archivebutton = null;
     this._unarchivebutton = null;
+    this._editing = false;
     this._style = document.createElement("style");
 
     this._id = "";
     this._title = "";
     this._date = "";
+    this._createdAt = "";
     this._content = "";
     this._archive = "";
     this._unarchive = "";
+    this._pending = "";
+    this._saving = "";
+    this._highlight = "";
+    this._selectable = "";
+    this._selected = "";
+    this._pinned = "";
+    this._color = "";
 
     this.handleDelete = this.handleDelete.bind(this);
     this.handleArchive = this.handleArchive.bind(this);
     this.handleUnarchive = this.handleUnarchive.bind(this);
+    this.handleEdit = this.handleEdit.bind(this);
+    this.handleEditSubmit = this.handleEditSubmit.bind(this);
+    this.handleEditCancel = this.handleEditCancel.bind(this);
+    this.handleFormatToggle = this.handleFormatToggle.bind(this);
+    this.handleOpen = this.handleOpen.bind(this);
+    this.handleSelect = this.handleSelect.bind(this);
+    this.handleTagClick = this.handleTagClick.bind(this);
+    this.handlePin = this.handlePin.bind(this);
+    this.handleColorChange = this.handleColorChange.bind(this);
   }
 
   /**
@@ -38,7 +75,20 @@ class noteitem extends HTMLElement {
    * @returns {string[]} Array of attribute names to observe
    */
   static get observedAttributes() {
-    return ["data-id", "title", "date", "content", "archive"];
+    return [
+      "data-id",
+      "title",
+      "date",
+      "content",
+      "archive",
+      "pending",
+      "saving",
+      "highlight",
+      "selectable",
+      "selected",
+      "pinned",
+      "color",
+    ];
   }
 
   /**
@@ -52,9 +102,9 @@ class noteitem extends HTMLElement {
       display: block;
       width: 100%;
       padding: 10px !important;
-      border: 1px solid var(--white-alpha-low);
+      border: 1px solid var(--note-accent, var(--white-alpha-low));
       border-radius: 4px;
-      background-color: var(--dark);
+      background-color: var(--note-background, var(--dark));
       color: var(--white);
       transition: .3s;
       overflow: hidden;
@@ -62,15 +112,26 @@ class noteitem extends HTMLElement {
 
     .note-body {
       min-height: 180px;
+      cursor: pointer;
     }
 
-    h3 {
+    .note-title {
       font-size: 16px;
       font-weight: 700;
       margin-top: 30px;
       margin-bottom: 10px;
     }
 
+    .note-link {
+      color: inherit;
+      text-decoration: none;
+    }
+
+    .note-link:hover,
+    .note-link:focus-visible {
+      text-decoration: underline;
+    }
+
     .note-date {
       position: absolute;
       top: 10px;
@@ -79,12 +140,132 @@ class noteitem extends HTMLElement {
       color: var(--white-alpha-low);
     }
 
+    :host([selected="true"]) {
+      border-color: var(--primary);
+      box-shadow: 0 0 0 1px var(--primary);
+    }
+
+    .note-select {
+      position: absolute;
+      top: 8px;
+      left: 10px;
+      cursor: pointer;
+    }
+
+    .note-select input {
+      width: 16px;
+      height: 16px;
+      accent-color: var(--primary);
+      cursor: pointer;
+    }
+
+    .note-select ~ .note-pending {
+      left: 35px;
+    }
+
+    .note-pending {
+      position: absolute;
+      top: 10px;
+      left: 10px;
+      padding: 0 5px;
+      font-size: 12px;
+      border: 1px dashed var(--light);
+      border-radius: 4px;
+      color: var(--light);
+    }
+
     p {
       font-size: 14px;
       font-weight: lighter;
       line-height: 1.4;
     }
 
+    mark {
+      background-color: var(--light);
+      color: var(--dark);
+      border-radius: 2px;
+    }
+
+    .note-content {
+      font-size: 14px;
+      font-weight: lighter;
+      line-height: 1.4;
+      overflow-wrap: anywhere;
+    }
+
+    .note-content > * + * {
+      margin-top: 8px;
+    }
+
+    .note-content h1,
+    .note-content h2,
+    .note-content h3,
+    .note-content h4,
+    .note-content h5,
+    .note-content h6 {
+      font-size: 15px;
+    }
+
+    .note-content h1 {
+      font-size: 18px;
+    }
+
+    .note-content h2 {
+      font-size: 16px;
+    }
+
+    .note-tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 5px;
+      margin-top: 8px;
+    }
+
+    .note-tag {
+      padding: 0 8px;
+      font-size: 12px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 999px;
+      background-color: var(--dark);
+      color: var(--white-alpha-low);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    .note-tag:hover {
+      border-color: var(--primary);
+      color: var(--primary);
+    }
+
+    .note-format {
+      margin-top: 8px;
+      padding: 0;
+      font-size: 12px;
+      border: none;
+      background: none;
+      color: var(--white-alpha-low);
+      text-decoration: underline;
+      cursor: pointer;
+    }
+
+    .note-options {
+      display: flex;
+      align-items: baseline;
+      gap: 10px;
+    }
+
+    .note-color {
+      margin-left: auto;
+      padding: 0 2px;
+      font-size: 12px;
+      font-family: var(--primary-font);
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      background-color: var(--note-background, var(--dark));
+      color: var(--white-alpha-low);
+      cursor: pointer;
+    }
+
     .note-action {
       display: flex;
       gap: 10px;
@@ -96,6 +277,7 @@ class noteitem extends HTMLElement {
     }
 
     .delete,
+    .edit,
     .archive {
       display: inline-flex;
       flex: 1;
@@ -110,16 +292,42 @@ class noteitem extends HTMLElement {
       transition: .3s;
     }
 
-    .delete {
+    .delete,
+    .edit {
       background-color: var(--dark);
       color: var(--primary);
     }
 
-    .delete:hover {
+    .delete:hover,
+    .edit:hover {
       background-color: var(--primary);
       color: var(--white);
     }
 
+    .edit-form {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      margin-top: 30px;
+    }
+
+    .edit-form input,
+    .edit-form textarea {
+      width: 100%;
+      padding: 5px;
+      border-radius: 4px;
+      font-size: 14px;
+      font-family: var(--primary-font);
+      color: var(--white);
+      background-color: var(--dark);
+      border: 1px solid var(--white-alpha-low);
+    }
+
+    .edit-form textarea {
+      resize: vertical;
+      min-height: 120px;
+    }
+
     /* disabled button styles */
     button:disabled,
     button[disabled] {
@@ -205,6 +413,7 @@ class noteitem extends HTMLElement {
         this._title = newValue;
         break;
       case "date":
+        this._createdAt = newValue;
         this._date = this.formatDate(newValue);
         break;
       case "archive":
@@ -213,6 +422,32 @@ class noteitem extends HTMLElement {
       case "content":
         this._content = newValue;
         break;
+      case "pending":
+        this._pending = newValue;
+        break;
+      case "saving":
+        this._saving = newValue;
+        break;
+      case "highlight":
+        this._highlight = newValue;
+        break;
+      case "selectable":
+        this._selectable = newValue;
+        break;
+      case "pinned":
+        this._pinned = newValue;
+        break;
+      case "color":
+        this._color = newValue;
+        HelperColor.apply(this, newValue);
+        break;
+      case "selected": {
+        // Only sync the checkbox, so selecting keeps focus and does not rebuild the card
+        this._selected = newValue;
+        const checkbox = this.shadowRoot.querySelector(".note-select input");
+        if (checkbox) checkbox.checked = newValue === "true";
+        return;
+      }
     }
 
     this.render();
@@ -225,11 +460,56 @@ class noteitem extends HTMLElement {
     const deleteButton = this.shadowRoot.querySelector("#delete");
     const archiveButton = this.shadowRoot.querySelector("#archive");
     const unarchiveButton = this.shadowRoot.querySelector("#unarchive");
+    const editButton = this.shadowRoot.querySelector("#edit");
+    const editForm = this.shadowRoot.querySelector(".edit-form");
+    const cancelButton = this.shadowRoot.querySelector("#cancel");
+    const formatButton = this.shadowRoot.querySelector("#format-toggle");
+    const pinButton = this.shadowRoot.querySelector("#pin-toggle");
+    const colorSelect = this.shadowRoot.querySelector("#color-select");
+    const noteBody = this.shadowRoot.querySelector(".note-body");
+    const selectCheckbox = this.shadowRoot.querySelector(".note-select input");
+    const tagList = this.shadowRoot.querySelector(".note-tags");
+
+    if (noteBody) {
+      noteBody.addEventListener("click", this.handleOpen);
+    }
+
+    if (tagList) {
+      tagList.addEventListener("click", this.handleTagClick);
+    }
+
+    if (selectCheckbox) {
+      selectCheckbox.addEventListener("click", this.handleSelect);
+    }
 
     if (deleteButton) {
       deleteButton.addEventListener("click", this.handleDelete);
     }
 
+    if (editButton) {
+      editButton.addEventListener("click", this.handleEdit);
+    }
+
+    if (editForm) {
+      editForm.addEventListener("submit", this.handleEditSubmit);
+    }
+
+    if (cancelButton) {
+      cancelButton.addEventListener("click", this.handleEditCancel);
+    }
+
+    if (formatButton) {
+      formatButton.addEventListener("click", this.handleFormatToggle);
+    }
+
+    if (pinButton) {
+      pinButton.addEventListener("click", this.handlePin);
+    }
+
+    if (colorSelect) {
+      colorSelect.addEventListener("change", this.handleColorChange);
+    }
+
     if (archiveButton) {
       archiveButton.addEventListener("click", this.handleArchive);
     }
@@ -246,11 +526,56 @@ class noteitem extends HTMLElement {
     const deleteButton = this.shadowRoot.querySelector("#delete");
     const archiveButton = this.shadowRoot.querySelector("#archive");
     const unarchiveButton = this.shadowRoot.querySelector("#unarchive");
+    const editButton = this.shadowRoot.querySelector("#edit");
+    const editForm = this.shadowRoot.querySelector(".edit-form");
+    const cancelButton = this.shadowRoot.querySelector("#cancel");
+    const formatButton = this.shadowRoot.querySelector("#format-toggle");
+    const pinButton = this.shadowRoot.querySelector("#pin-toggle");
+    const colorSelect = this.shadowRoot.querySelector("#color-select");
+    const noteBody = this.shadowRoot.querySelector(".note-body");
+    const selectCheckbox = this.shadowRoot.querySelector(".note-select input");
+    const tagList = this.shadowRoot.querySelector(".note-tags");
+
+    if (noteBody) {
+      noteBody.removeEventListener("click", this.handleOpen);
+    }
+
+    if (tagList) {
+      tagList.removeEventListener("click", this.handleTagClick);
+    }
+
+    if (selectCheckbox) {
+      selectCheckbox.removeEventListener("click", this.handleSelect);
+    }
 
     if (deleteButton) {
       deleteButton.removeEventListener("click", this.handleDelete);
     }
 
+    if (editButton) {
+      editButton.removeEventListener("click", this.handleEdit);
+    }
+
+    if (editForm) {
+      editForm.removeEventListener("submit", this.handleEditSubmit);
+    }
+
+    if (cancelButton) {
+      cancelButton.removeEventListener("click", this.handleEditCancel);
+    }
+
+    if (formatButton) {
+      formatButton.removeEventListener("click", this.handleFormatToggle);
+    }
+
+    if (pinButton) {
+      pinButton.removeEventListener("click", this.handlePin);
+    }
+
+    if (colorSelect) {
+      colorSelect.removeEventListener("change", this.handleColorChange);
+    }
+
     if (archiveButton) {
       archiveButton.removeEventListener("click", this.handleArchive);
     }
@@ -274,15 +599,94 @@ class noteitem extends HTMLElement {
     });
   }
 
+  /**
+   * Builds a plain note object from the displayed data
+   * @returns {Object} The note with id, title, body, createdAt and archived
+   */
+  toNote() {
+    return {
+      id: this._id,
+      title: this._title,
+      body: this._content,
+      createdAt: this._createdAt,
+      archived: this._archive === "true",
+    };
+  }
+
+  /**
+   * Event handler for clicks on the card, opens the note's detail view
+   * While the list is in selection mode the click toggles the selection instead.
+   * Clicks on links, buttons, the checkbox and the color select inside the card and text
+   * selections are left alone
+   * @param {MouseEvent} event - The click event
+   */
+  handleOpen(event) {
+    if (event.target.closest("a, button, label, select")) return;
+    if (window.getSelection && window.getSelection().toString()) return;
+
+    if (this._selectable === "true") {
+      this.dispatchSelect(this._selected !== "true", event.shiftKey);
+      return;
+    }
+
+    this.shadowRoot.querySelector(".note-link").click();
+  }
+
+  /**
+   * Event handler for the tag chips, filters the lists by the clicked tag
+   * @param {MouseEvent} event - The click event
+   */
+  handleTagClick(event) {
+    const chip = event.target.closest("[data-tag]");
+    if (chip) HelperTags.select(chip.dataset.tag);
+  }
+
+  /**
+   * Event handler for the selection checkbox
+   * @param {MouseEvent} event - The click event, Shift selects a range in the list
+   */
+  handleSelect(event) {
+    this.dispatchSelect(event.target.checked, event.shiftKey);
+  }
+
+  /**
+   * Asks the list to select or deselect this note
+   * @param {boolean} selected - Whether the note should be selected
+   * @param {boolean} range - Whether to apply the same state to the notes up to the last one clicked
+   * @fires CustomEvent#note-select-toggled
+   */
+  dispatchSelect(selected, range) {
+    this._selected = String(selected);
+
+    this.dispatchEvent(
+      new CustomEvent("note-select-toggled", {
+        bubbles: true,
+        composed: true,
+        detail: { id: this._id, selected, range },
+      }),
+    );
+  }
+
   /**
    * Event handler for the delete button
+   * Asks for confirmation before the note is deleted
+   * @returns {Promise<void>}
    */
-  handleDelete() {
+  async handleDelete() {
+    const confirmed = await HelperConfirm.confirm({
+      key: "delete-note",
+      title: "Delete note?",
+      message: `"${this._title}" will be deleted.`,
+    });
+
+    if (!confirmed) return;
+
     const deletedNoteEvent = new CustomEvent("note-deleted", {
       bubbles: true,
       composed: true,
       detail: {
         id: this._id,
+        note: this.toNote(),
         button: this.shadowRoot.querySelector("#delete"),
       },
     });
@@ -294,12 +698,12 @@ class noteitem extends HTMLElement {
    * Event handler for the archive button
    */
   handleArchive() {
-    console.log(this.shadowRoot);
     const archivedNoteEvent = new CustomEvent("note-archived", {
       bubbles: true,
       composed: true,
       detail: {
         id: this._id,
+        note: this.toNote(),
         button: this.shadowRoot.querySelector("#archive"),
       },
     });
@@ -316,6 +720,7 @@ class noteitem extends HTMLElement {
       composed: true,
       detail: {
         id: this._id,
+        note: this.toNote(),
         button: this.shadowRoot.querySelector("#unarchive"),
       },
     });
@@ -323,6 +728,93 @@ class noteitem extends HTMLElement {
     this.dispatchEvent(unarchivedNoteEvent);
   }
 
+  /**
+   * Event handler for the edit button
+   * Switches the note into edit mode with the title and body as editable fields
+   */
+  handleEdit() {
+    this._editing = true;
+    this.update();
+  }
+
+  /**
+   * Event handler for the cancel button in edit mode
+   * Discards the changes and switches back to the read-only view
+   */
+  handleEditCancel() {
+    this._editing = false;
+    this.update();
+  }
+
+  /**
+   * Event handler for the edit form submission
+   * Leaves edit mode once the change is saved or queued, a failed save keeps the form.
+   * @param {Event} event - The form submission event
+   */
+  handleEditSubmit(event) {
+    event.preventDefault();
+
+    const editedNoteEvent = new CustomEvent("note-edited", {
+      bubbles: true,
+      composed: true,
+      detail: {
+        id: this._id,
+        title: this.shadowRoot.querySelector("#edit-title").value,
+        body: this.shadowRoot.querySelector("#edit-body").value,
+        note: this.toNote(),
+        button: this.shadowRoot.querySelector("#save"),
+        onComplete: (saved) => {
+          if (saved) this.handleEditCancel();
+        },
+      },
+    });
+
+    this.dispatchEvent(editedNoteEvent);
+  }
+
+  /**
+   * Event handler for the button switching between the formatted and the raw body
+   */
+  handleFormatToggle() {
+    if (rawNoteIds.has(this._id)) {
+      rawNoteIds.delete(this._id);
+    } else {
+      rawNoteIds.add(this._id);
+    }
+
+    this.update();
+  }
+
+  /**
+   * Event handler for the pin button, the owning list regroups on "note-meta-changed"
+   */
+  handlePin() {
+    const pinned = this._pinned !== "true";
+
+    NoteMeta.setPinned(this._id, pinned);
+    this.pinned = pinned;
+  }
+
+  /**
+   * Event handler for the color select, the owning list refilters on "note-meta-changed"
+   * @param {Event} event - The change event of the select
+   */
+  handleColorChange(event) {
+    const color = event.target.value;
+
+    NoteMeta.setColor(this._id, color);
+    this.color = color;
+  }
+
+  /**
+   * Re-renders the note and rebinds the action buttons
+   */
+  update() {
+    this.removeEventListeners();
+    this.render();
+    this.setupEventListeners();
+  }
+
   /**
    * Formats note content by replacing newlines with <br> tags
    * @param {string} content - The raw content text
@@ -332,30 +824,182 @@ class noteitem extends HTMLElement {
     return content.replace(/\n/g, "<br>");
   }
 
+  /**
+   * Fills an element with text, wrapping the parts matching the search query in <mark>
+   * and turning newlines into <br> tags
+   * @param {HTMLElement} element - The element to fill
+   * @param {string} text - The raw text
+   */
+  renderText(element, text) {
+    HelperSearch.highlight(text, this._highlight).forEach((segment) => {
+      const target = segment.match ? document.createElement("mark") : element;
+
+      segment.text.split("\n").forEach((line, index) => {
+        if (index > 0) target.appendChild(document.createElement("br"));
+        target.appendChild(document.createTextNode(line));
+      });
+
+      if (segment.match) element.appendChild(target);
+    });
+  }
+
+  /**
+   * Fills the content element with the body, rendered from Markdown or as raw text
+   * @param {HTMLElement} element - The content element
+   */
+  renderContent(element) {
+    if (rawNoteIds.has(this._id)) {
+      const raw = document.createElement("p");
+      this.renderText(raw, this._content);
+      element.appendChild(raw);
+      return;
+    }
+
+    element.appendChild(
+      HelperMarkdown.render(this._content, (parent, text) => this.renderText(parent, text)),
+    );
+  }
+
+  /**
+   * Renders the tags of the body as chips
+   * @returns {string} HTML for the tag chips, empty when the body has no tags
+   */
+  renderTags() {
+    const tags = HelperTags.parse(this._content);
+    if (tags.length === 0) return "";
+
+    return html`<div class="note-tags">
+      ${tags.map(
+        (tag) =>
+          html`<button class="note-tag" data-tag="${tag}" title="Show notes tagged #${tag}">
+            #${tag}
+          </button>`,
+      )}
+    </div>`;
+  }
+
+  /**
+   * Renders the badge of a note that is not on the server yet
+   * @returns {string} HTML for the badge, empty when the note is saved
+   */
+  renderStatus() {
+    if (this._pending === "true") return html`<span class="note-pending">Pending sync</span>`;
+    if (this._saving === "true") return html`<span class="note-pending">Saving</span>`;
+    return "";
+  }
+
+  /**
+   * Renders the note in edit mode with a form for the title and body
+   */
+  renderEditForm() {
+    // A form rendered again, e.g. when the list moves the element, keeps what was typed
+    const titleInput = this.shadowRoot.querySelector("#edit-title");
+    const bodyInput = this.shadowRoot.querySelector("#edit-body");
+    const title = titleInput ? titleInput.value : this._title;
+    const body = bodyInput ? bodyInput.value : this._content;
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <span class="note-date">${this._date}</span>
+      <form class="edit-form">
+        <input id="edit-title" type="text" minlength="3" maxlength="50" required />
+        <textarea id="edit-body" minlength="10" required></textarea>
+        <div class="note-action">
+          <button id="cancel" type="button" class="delete">Cancel</button>
+          <button id="save" type="submit" class="archive">Save</button>
+        </div>
+      </form>
+    `;
+
+    // Assign values as properties so the raw text is kept as-is
+    this.shadowRoot.querySelector("#edit-title").value = title;
+    this.shadowRoot.querySelector("#edit-body").value = body;
+  }
+
   /**
    * Renders the note with all its content and action buttons
    */
   render() {
-    // replace newlines with <br> tags
-    const formattedContent = this._content.replace(/\n/g, "<br>");
+    if (this._editing) {
+      this.renderEditForm();
+      return;
+    }
+
     this.getStyles();
 
-    this.shadowRoot.innerHTML = `
-      ${this._style.outerHTML}
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
       <div class="note-body">
-        <h3>${this._title}</h3>
+        ${
+          this._selectable === "true"
+            ? html`<label class="note-select">
+                <input
+                  type="checkbox"
+                  aria-label="Select ${this._title}"
+                  ${this._selected === "true" ? "checked" : ""}
+                />
+              </label>`
+            : ""
+        }
+        ${this.renderStatus()}
+        <h3 class="note-title">
+          ${
+            this._saving === "true"
+              ? html`<span class="note-link"></span>`
+              : html`<a class="note-link" href="#/notes/${encodeURIComponent(this._id)}"></a>`
+          }
+        </h3>
         <span class="note-date">${this._date}</span>
-        <p>${formattedContent}</p>
+        <div class="note-content"></div>
+        ${this.renderTags()}
+        <div class="note-options">
+          <button id="format-toggle" class="note-format" type="button">
+            ${rawNoteIds.has(this._id) ? "Show formatted" : "Show raw"}
+          </button>
+          <button
+            id="pin-toggle"
+            class="note-format"
+            type="button"
+            aria-pressed="${String(this._pinned === "true")}"
+          >
+            ${this._pinned === "true" ? "Unpin" : "Pin"}
+          </button>
+          <select id="color-select" class="note-color" aria-label="Color of ${this._title}">
+            <option value="">No color</option>
+            ${HelperColor.palette.map(
+              ({ name, label }) => html`<option value="${name}">${label}</option>`,
+            )}
+          </select>
+        </div>
       </div>
       <div class="note-action">
-        <button id="delete" class="delete">
-          Delete
-        </button>
+        ${NoteApi.canUpdate() ? html`<button id="edit" class="edit">Edit</button>` : ""}
+        <button id="delete" class="delete">Delete</button>
         <button id="${this._archive === "true" ? "unarchive" : "archive"}" class="archive">
           ${this._archive === "true" ? "Unarchive" : "Archive"}
         </button>
       </div>
     `;
+
+    this.shadowRoot.querySelector("#color-select").value = this._color;
+
+    // The note may still change or get its server ID, so it cannot be acted on until it is saved
+    if (this._saving === "true") {
+      this.shadowRoot
+        .querySelectorAll(".note-select input, .note-options > *, .note-action button")
+        .forEach((control) => {
+          control.disabled = true;
+        });
+    }
+
+    this.renderText(this.shadowRoot.querySelector(".note-link"), this._title);
+    this.renderContent(this.shadowRoot.querySelector(".note-content"));
+  }
+
+  // Getter for edit mode
+  get editing() {
+    return this._editing;
   }
 
   // Getter and setter for id
@@ -384,6 +1028,7 @@ class noteitem extends HTMLElement {
   }
 
   set date(value) {
+    this._createdAt = value;
     this._date = this.formatDate(value);
     this.setAttribute("date", value);
   }
@@ -407,6 +1052,76 @@ class noteitem extends HTMLElement {
     this._archive = value;
     this.setAttribute("archive", value);
   }
+
+  // Getter and setter for pending sync state
+  get pending() {
+    return this._pending;
+  }
+
+  set pending(value) {
+    this._pending = value;
+    this.setAttribute("pending", value);
+  }
+
+  // Getter and setter for the saving state while the server has not answered yet
+  get saving() {
+    return this._saving;
+  }
+
+  set saving(value) {
+    this._saving = value;
+    this.setAttribute("saving", value);
+  }
+
+  // Getter and setter for the search query to highlight
+  get highlight() {
+    return this._highlight;
+  }
+
+  set highlight(value) {
+    this._highlight = value;
+    this.setAttribute("highlight", value);
+  }
+
+  // Getter and setter for selection mode
+  get selectable() {
+    return this._selectable;
+  }
+
+  set selectable(value) {
+    this._selectable = String(value);
+    this.setAttribute("selectable", value);
+  }
+
+  // Getter and setter for the pinned state
+  get pinned() {
+    return this._pinned;
+  }
+
+  set pinned(value) {
+    this._pinned = String(value);
+    this.setAttribute("pinned", value);
+  }
+
+  // Getter and setter for the color name from HelperColor's palette
+  get color() {
+    return this._color;
+  }
+
+  set color(value) {
+    this._color = value;
+    this.setAttribute("color", value);
+  }
+
+  // Getter and setter for the selected state
+  get selected() {
+    return this._selected;
+  }
+
+  set selected(value) {
+    this._selected = String(value);
+    this.setAttribute("selected", value);
+  }
 }
 
 customElements.define("note-item", noteitem);
@@ -0,0 +1,733 @@
+/**
+ * @class NoteList
+ * @extends HTMLElement
+ * @description Base class of the elements that list one of the NoteStore lists, not an element
+ * of its own. Renders the notes of the list and updates whenever they change.
+ * Changes still waiting in the outbox are shown on top of the fetched notes.
+ * Notes are filtered by the search query from HelperSearch, with the matches highlighted,
+ * and ordered by the remembered choice of the sort control.
+ * The tag bar and the color filter narrow the list down further, and in selection mode the
+ * bulk bar acts on the selected notes.
+ * The "Ask before deleting" checkbox brings back the delete confirmations after the user chose
+ * "Don't ask again".
+ * Subclasses name their list with the `list` and `heading` getters, and can order and group
+ * the notes with `orderNotes` and `groupNotes`.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import NoteMeta from "../data/noteMeta.js";
+import NoteStore from "../data/noteStore.js";
+import Outbox from "../data/outbox.js";
+import globalStyles from "../globalStylesheet.js";
+import HelperColor from "../helper/helperColor.js";
+import HelperConfirm from "../helper/helperConfirm.js";
+import HelperSearch from "../helper/helperSearch.js";
+import HelperSelection from "../helper/helperSelection.js";
+import HelperSort from "../helper/helperSort.js";
+import HelperTags from "../helper/helperTags.js";
+import HelperToast from "../helper/helperToast.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+// Confirmations of the note items, the detail view and the bulk bar
+const DELETE_CONFIRM_KEYS = ["delete-note", "delete-notes"];
+
+class NoteList extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._query = HelperSearch.getQuery();
+    this._tags = HelperTags.getSelected();
+    this._color = HelperColor.getFilter();
+    this._sortOrder = HelperSort.getOrder(this.list);
+    this._style = document.createElement("style");
+    this._selecting = false;
+    this._selected = new Set();
+    this._anchorId = null;
+    this._bulkProgress = "";
+
+    this.handleSearchChanged = this.handleSearchChanged.bind(this);
+    this.handleTagsChanged = this.handleTagsChanged.bind(this);
+    this.handleColorFilterChanged = this.handleColorFilterChanged.bind(this);
+    this.handleSortChanged = this.handleSortChanged.bind(this);
+    this.render = this.render.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleConfirmToggle = this.handleConfirmToggle.bind(this);
+    this.handleNoteSelectToggled = this.handleNoteSelectToggled.bind(this);
+    this.handleSelectAll = this.handleSelectAll.bind(this);
+    this.handleBulkAction = this.handleBulkAction.bind(this);
+    this.handleBulkDone = this.handleBulkDone.bind(this);
+  }
+
+  /**
+   * The NoteStore list shown, implemented by the subclass
+   * @returns {"active"|"archived"}
+   */
+  get list() {
+    throw new Error("NoteList subclasses must name their list");
+  }
+
+  /**
+   * Heading shown above the notes
+   * @returns {string}
+   */
+  get heading() {
+    return "Notes";
+  }
+
+  /**
+   * Whether the list holds archived notes
+   * @returns {boolean}
+   */
+  get archived() {
+    return this.list === "archived";
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    h2 {
+      margin-top: 2rem;
+      margin-bottom: 0;
+      color: var(--light);
+    }
+
+    .note-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-end;
+      gap: 10px;
+      margin-top: 2rem;
+    }
+
+    .note-header h2 {
+      margin-top: 0;
+    }
+
+    .note-controls {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+
+    .select-toggle {
+      padding: 5px 10px;
+      font-size: 14px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--white);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    .select-toggle:hover {
+      border-color: var(--primary);
+      color: var(--primary);
+    }
+
+    .confirm-toggle {
+      display: flex;
+      align-items: center;
+      gap: 5px;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+      cursor: pointer;
+    }
+
+    .note-group {
+      margin-top: 20px;
+      margin-bottom: 0;
+      font-size: 14px;
+      font-weight: 700;
+      color: var(--white-alpha-low);
+    }
+
+    .note-count {
+      margin-top: 5px;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    section {
+      margin-top: 10px;
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+      gap: 10px;
+      width: 100%;
+    }
+
+    .note {
+      position: relative;
+      width: 100%;
+      padding: 10px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--white);
+      box-shadow: var(--box-shadow);
+      transition: .3s;
+      overflow: hidden;
+    }
+
+    .note-body {
+      min-height: 180px;
+    }
+
+    h3 {
+      font-size: 16px;
+      font-weight: 700;
+      margin-top: 30px;
+      margin-bottom: 10px;
+    }
+
+    p {
+      font-size: 14px;
+      font-weight: lighter;
+      line-height: 1.4;
+    }
+
+    .note-action {
+      display: flex;
+      gap: 10px;
+      justify-content: center;
+      align-items: center;
+      margin-top: 10px;
+      border-top: 1px solid var(--dark-alpha-low);
+      padding-top: 10px;
+    }
+
+    .delete,
+    .archive {
+      display: block;
+      width: 100%;
+      padding: 5px;
+      font-size: 14px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    .delete {
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    .delete:hover {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    .archive {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    .archive:hover {
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    .note-empty {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      gap: 10px;
+      margin-top: 10px;
+      width: 100%;
+      text-align: center;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+      background-color: var(--dark);
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 4px;
+      padding: 10px;
+    }
+
+    .loading-spinner {
+      display: inline-block;
+      width: 16px;
+      height: 16px;
+      border: 2px solid rgba(255,255,255,0.3);
+      border-radius: 50%;
+      border-color: rgba(255,255,255,0.2);
+      border-top-color: #fff;
+      animation: spin 0.8s linear infinite;
+      vertical-align: middle;
+      margin-right: 5px;
+    }
+
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+
+    @media screen and (min-width: 768px) {
+      .note {
+        width: calc(33.33% - 10px);
+      }
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the notes, sets up event listeners and loads the notes when needed
+   * @returns {Promise<void>}
+   */
+  async connectedCallback() {
+    this._controller = new AbortController();
+
+    // Notes loaded for an earlier view are shown right away
+    if (NoteStore.select((state) => state[this.list])) {
+      this.render();
+    } else {
+      this.renderLoading();
+    }
+
+    // Listen before the first fetch so an early outbox sync is not missed
+    this.setupEventListeners();
+    await this.fetchNotes();
+  }
+
+  /**
+   * Sets up event listeners for the component
+   */
+  setupEventListeners() {
+    this._unsubscribe = NoteStore.subscribe(this.render, (state) => state[this.list]);
+    document.addEventListener("outbox-changed", this.render);
+    document.addEventListener("note-meta-changed", this.render);
+    document.addEventListener("search-changed", this.handleSearchChanged);
+    document.addEventListener("tags-changed", this.handleTagsChanged);
+    document.addEventListener("color-filter-changed", this.handleColorFilterChanged);
+    this.shadowRoot.addEventListener("sort-changed", this.handleSortChanged);
+    this.shadowRoot.addEventListener("click", this.handleClick);
+    this.shadowRoot.addEventListener("change", this.handleConfirmToggle);
+    this.shadowRoot.addEventListener("note-select-toggled", this.handleNoteSelectToggled);
+    this.shadowRoot.addEventListener("bulk-select-all", this.handleSelectAll);
+    this.shadowRoot.addEventListener("bulk-action", this.handleBulkAction);
+    this.shadowRoot.addEventListener("bulk-done", this.handleBulkDone);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    // Stop loading notes nobody will see
+    this._controller.abort();
+    this._unsubscribe();
+    document.removeEventListener("outbox-changed", this.render);
+    document.removeEventListener("note-meta-changed", this.render);
+    document.removeEventListener("search-changed", this.handleSearchChanged);
+    document.removeEventListener("tags-changed", this.handleTagsChanged);
+    document.removeEventListener("color-filter-changed", this.handleColorFilterChanged);
+    this.shadowRoot.removeEventListener("sort-changed", this.handleSortChanged);
+    this.shadowRoot.removeEventListener("click", this.handleClick);
+    this.shadowRoot.removeEventListener("change", this.handleConfirmToggle);
+    this.shadowRoot.removeEventListener("note-select-toggled", this.handleNoteSelectToggled);
+    this.shadowRoot.removeEventListener("bulk-select-all", this.handleSelectAll);
+    this.shadowRoot.removeEventListener("bulk-action", this.handleBulkAction);
+    this.shadowRoot.removeEventListener("bulk-done", this.handleBulkDone);
+  }
+
+  /**
+   * Event handler for when another order is chosen in the sort control
+   * @param {CustomEvent} event - Event with the new order in its detail
+   */
+  handleSortChanged(event) {
+    this._sortOrder = event.detail.order;
+    HelperSort.setOrder(this.list, this._sortOrder);
+    this.render();
+  }
+
+  /**
+   * Event handler for when the search query changes
+   * @param {CustomEvent} event - Event with the new query in its detail
+   */
+  handleSearchChanged(event) {
+    this._query = event.detail.query;
+    this.render();
+  }
+
+  /**
+   * Event handler for when the tag filter changes
+   * @param {CustomEvent} event - Event with the selected tags in its detail
+   */
+  handleTagsChanged(event) {
+    this._tags = event.detail.tags;
+    this.render();
+  }
+
+  /**
+   * Event handler for when the color filter changes
+   * @param {CustomEvent} event - Event with the color in its detail
+   */
+  handleColorFilterChanged(event) {
+    this._color = event.detail.color;
+    this.render();
+  }
+
+  /**
+   * Checks whether the list is narrowed down by the search query, tags or color
+   * @returns {boolean}
+   */
+  isFiltered() {
+    return Boolean(this._query || this._tags.length > 0 || this._color);
+  }
+
+  /**
+   * Renders how many notes match the filters, or nothing when there is no filter
+   * @param {number} count - Number of matching notes
+   * @returns {string} HTML for the result count
+   */
+  renderCount(count) {
+    if (!this.isFiltered()) return "";
+
+    return html`<p class="note-count">${count} ${count === 1 ? "result" : "results"}</p>`;
+  }
+
+  /**
+   * Event handler for clicks in the list, toggles selection mode with the "Select" button
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    if (!event.target.closest(".select-toggle")) return;
+
+    this._selecting = true;
+    this.render();
+  }
+
+  /**
+   * Event handler for the "Ask before deleting" checkbox, brings back the confirmations the
+   * user opted out of, or turns them off
+   * @param {Event} event - The change event
+   */
+  handleConfirmToggle(event) {
+    const checkbox = event.target.closest(".confirm-toggle input");
+    if (!checkbox) return;
+
+    DELETE_CONFIRM_KEYS.forEach((key) => {
+      if (checkbox.checked) {
+        HelperConfirm.reset(key);
+      } else {
+        HelperConfirm.skip(key);
+      }
+    });
+  }
+
+  /**
+   * Event handler for a note's checkbox, Shift selects the range from the last clicked note
+   * @param {CustomEvent} event - Event with the note ID, its new state and the range flag
+   */
+  handleNoteSelectToggled(event) {
+    const { id, selected, range } = event.detail;
+    const ids = this.getVisibleNotes().map((note) => note.id);
+
+    HelperSelection.toggle(this._selected, ids, id, selected, this._anchorId, range);
+    this._anchorId = id;
+    this.updateSelection();
+  }
+
+  /**
+   * Event handler for the "select all" checkbox of the bulk bar
+   * @param {CustomEvent} event - Event with the new state in its detail
+   */
+  handleSelectAll(event) {
+    this._selected = event.detail.selected
+      ? new Set(this.getVisibleNotes().map((note) => note.id))
+      : new Set();
+    this._anchorId = null;
+    this.updateSelection();
+  }
+
+  /**
+   * Event handler for the bulk actions, asks before deleting and reports the progress
+   * @param {CustomEvent} event - Event with the action ("archive", "unarchive" or "delete")
+   * @returns {Promise<void>}
+   * @fires CustomEvent#notes-bulk-action
+   */
+  async handleBulkAction(event) {
+    const { action } = event.detail;
+    const notes = this.getVisibleNotes().filter((note) => this._selected.has(note.id));
+    if (notes.length === 0) return;
+
+    if (action === "delete") {
+      const confirmed = await HelperConfirm.confirm({
+        key: "delete-notes",
+        title: `Delete ${notes.length} ${notes.length === 1 ? "note" : "notes"}?`,
+        message: "The selected notes will be deleted.",
+      });
+
+      if (!confirmed) return;
+    }
+
+    const verb = { archive: "Archiving", unarchive: "Unarchiving", delete: "Deleting" }[action];
+    this.setBulkProgress(`${verb} 0 of ${notes.length}`);
+
+    document.dispatchEvent(
+      new CustomEvent("notes-bulk-action", {
+        bubbles: true,
+        composed: true,
+        detail: {
+          action,
+          notes,
+          onProgress: (done, total) => this.setBulkProgress(`${verb} ${done} of ${total}`),
+          onComplete: (failedIds) => {
+            // Keep the notes that failed selected so the action can be tried again
+            this._selected = new Set(failedIds);
+            this.setBulkProgress("");
+          },
+        },
+      }),
+    );
+  }
+
+  /**
+   * Event handler for the "Done" button of the bulk bar, leaves selection mode
+   */
+  handleBulkDone() {
+    this._selecting = false;
+    this._selected = new Set();
+    this._anchorId = null;
+    this.render();
+  }
+
+  /**
+   * Shows the progress of a bulk action in the bulk bar
+   * @param {string} progress - Progress message, empty when the action finished
+   */
+  setBulkProgress(progress) {
+    this._bulkProgress = progress;
+
+    const bulkBar = this.shadowRoot.querySelector("note-bulk-bar");
+    if (bulkBar) bulkBar.progress = progress;
+  }
+
+  /**
+   * Applies the selection to the rendered notes and the bulk bar without rendering again
+   */
+  updateSelection() {
+    this.shadowRoot.querySelectorAll("note-item").forEach((noteElement) => {
+      noteElement.selected = this._selected.has(noteElement.id);
+    });
+
+    const bulkBar = this.shadowRoot.querySelector("note-bulk-bar");
+    if (bulkBar) bulkBar.count = this._selected.size;
+  }
+
+  /**
+   * Returns the notes that match the search query, with pending changes applied
+   * @returns {Object[]} The matching notes, before the tag filter
+   */
+  getSearchedNotes() {
+    const notes = NoteStore.select((state) => state[this.list]) || [];
+    const editing = this.getEditingItems();
+
+    return Outbox.applyTo(notes, this.archived).filter(
+      (note) => editing.has(String(note.id)) || HelperSearch.matches(note, this._query),
+    );
+  }
+
+  /**
+   * Returns the notes shown in the list: pending changes applied, filtered and sorted
+   * Notes being edited stay listed, so filtering never discards what was typed.
+   * @returns {Object[]} The listed notes in display order
+   */
+  getVisibleNotes() {
+    const editing = this.getEditingItems();
+    const notes = this.getSearchedNotes().filter(
+      (note) =>
+        editing.has(String(note.id)) ||
+        (HelperTags.matches(note, this._tags) &&
+          HelperColor.matches(NoteMeta.getColor(note.id), this._color)),
+    );
+
+    return this.orderNotes(HelperSort.sort(notes, this._sortOrder));
+  }
+
+  /**
+   * Finds the rendered notes that are in edit mode
+   * @returns {Map<string, HTMLElement>} The note elements by note ID
+   */
+  getEditingItems() {
+    return new Map(
+      [...this.shadowRoot.querySelectorAll("note-item")]
+        .filter((noteElement) => noteElement.editing)
+        .map((noteElement) => [String(noteElement.id), noteElement]),
+    );
+  }
+
+  /**
+   * Puts the sorted notes in their final order, as sorted by default
+   * @param {Object[]} notes - The sorted notes
+   * @returns {Object[]} The notes in display order
+   */
+  orderNotes(notes) {
+    return notes;
+  }
+
+  /**
+   * Splits the listed notes into groups rendered under their own heading, one group
+   * without a heading by default
+   * @param {Object[]} notes - The listed notes in display order
+   * @returns {{ id: string, heading: string, notes: Object[] }[]} The groups, the id names
+   * their container
+   */
+  groupNotes(notes) {
+    return [{ id: "notes-container", heading: "", notes }];
+  }
+
+  /**
+   * Renders the "Select" button, or the bulk bar while in selection mode
+   * @param {number} total - Number of listed notes
+   * @returns {string} HTML for the selection controls
+   */
+  renderSelectionControls(total) {
+    if (!this._selecting) return "";
+
+    return html`<note-bulk-bar
+      count="${this._selected.size}"
+      total="${total}"
+      archived="${String(this.archived)}"
+      progress="${this._bulkProgress}"
+    ></note-bulk-bar>`;
+  }
+
+  /**
+   * Loads the notes of the list into NoteStore, the subscription renders them
+   * @returns {Promise<void>}
+   */
+  async fetchNotes() {
+    try {
+      await NoteStore.load(this.list, { signal: this._controller.signal });
+    } catch (error) {
+      if (error.code === "aborted") return;
+
+      // Keep showing the last known notes and pending changes while offline
+      if (Outbox.isConnectivityError(error)) {
+        this.render();
+      }
+
+      HelperToast.error(`Could not load ${this.heading.toLowerCase()}: ${error.message}`, {
+        actions: [{ label: "Retry", onClick: () => this.fetchNotes() }],
+      });
+    }
+  }
+
+  /**
+   * Creates and renders note elements into the container
+   * Elements in edit mode are reused, so the changes typed into them are kept.
+   * @param {HTMLElement} container - The DOM element to render notes into
+   * @param {Object[]} notes - The notes to render
+   * @param {Map<string, HTMLElement>} [editing] - The note elements in edit mode by note ID
+   */
+  renderNotes(container, notes, editing = new Map()) {
+    notes.forEach((note) => {
+      const noteElement = editing.get(String(note.id)) || document.createElement("note-item");
+      noteElement.id = note.id;
+      noteElement.title = note.title;
+      noteElement.date = note.createdAt;
+      noteElement.content = note.body;
+      noteElement.archive = note.archived;
+      noteElement.pending = Boolean(note.pending);
+      noteElement.saving = Boolean(note.saving);
+      noteElement.highlight = this._query;
+      noteElement.selectable = this._selecting;
+      noteElement.selected = this._selected.has(note.id);
+      noteElement.pinned = NoteMeta.isPinned(note.id);
+      noteElement.color = NoteMeta.getColor(note.id);
+      container.append(noteElement);
+    });
+  }
+
+  /**
+   * Renders the heading with a loading indicator until the notes arrive
+   */
+  renderLoading() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <h2>${this.heading}</h2>
+      <div class="note-empty">
+        <p>Loading</p>
+        <span class="loading-spinner"></span>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the component's HTML and populates it with notes
+   */
+  render() {
+    const editing = this.getEditingItems();
+    const notes = this.getVisibleNotes();
+    HelperSelection.prune(
+      this._selected,
+      notes.map((note) => note.id),
+    );
+    const groups = this.groupNotes(notes).filter((group) => group.notes.length > 0);
+    const emptyMessage = this.isFiltered() ? "No notes match your search" : "There is no note";
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <div class="note-header">
+        <h2>${this.heading}</h2>
+        <div class="note-controls">
+          ${this._selecting ? "" : html`<button class="select-toggle">Select</button>`}
+          <label class="confirm-toggle">
+            <input
+              type="checkbox"
+              ${DELETE_CONFIRM_KEYS.some((key) => HelperConfirm.isSkipped(key)) ? "" : "checked"}
+            />
+            Ask before deleting
+          </label>
+          <color-filter value="${this._color}"></color-filter>
+          <note-sort value="${this._sortOrder}"></note-sort>
+        </div>
+      </div>
+      <tag-bar></tag-bar>
+      ${this.renderSelectionControls(notes.length)} ${this.renderCount(notes.length)}
+      ${
+        notes.length === 0
+          ? html`
+              <div class="note-empty">
+                <p>${emptyMessage}</p>
+              </div>
+            `
+          : ""
+      }
+      ${groups.map(({ id, heading }) =>
+        heading
+          ? html`
+              <h3 class="note-group" id="${id}-heading">${heading}</h3>
+              <section id="${id}" aria-labelledby="${id}-heading"></section>
+            `
+          : html`<section id="${id}"></section>`,
+      )}
+    `;
+
+    const tagBar = this.shadowRoot.querySelector("tag-bar");
+    tagBar.tags = HelperTags.count(this.getSearchedNotes());
+    tagBar.selected = this._tags;
+
+    groups.forEach(({ id, notes: groupNotes }) => {
+      this.renderNotes(this.shadowRoot.getElementById(id), groupNotes, editing);
+    });
+  }
+}
+
+export default NoteList;
@@ -0,0 +1,106 @@
+/**
+ * @class NoteSearch
+ * @extends HTMLElement
+ * @description Custom element with a search field that filters the active and archived note lists.
+ * The query is stored in the URL through HelperSearch so it survives a reload.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperSearch from "../helper/helperSearch.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class NoteSearch extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+
+    this.handleInput = this.handleInput.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      margin-top: 2rem;
+    }
+
+    label {
+      display: block;
+      margin-bottom: 10px;
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    input {
+      width: 100%;
+      padding: 10px;
+      border-radius: 4px;
+      font-size: 14px;
+      color: var(--white);
+      background-color: var(--dark);
+      border: 1px solid var(--white-alpha-low);
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the field with the query from the URL and sets up event listeners
+   */
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.querySelector("input").addEventListener("input", this.handleInput);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.shadowRoot.querySelector("input").removeEventListener("input", this.handleInput);
+  }
+
+  /**
+   * Event handler for typing in the search field
+   * @param {Event} event - The input event
+   */
+  handleInput(event) {
+    HelperSearch.setQuery(event.target.value.trim());
+  }
+
+  /**
+   * Renders the search field
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <label for="search">Search notes</label>
+      <input
+        id="search"
+        type="search"
+        placeholder="Search by title or content"
+        autocomplete="off"
+      />
+    `;
+
+    this.shadowRoot.querySelector("input").value = HelperSearch.getQuery();
+  }
+}
+
+customElements.define("note-search", NoteSearch);
@@ -0,0 +1,120 @@
+/**
+ * @class PageNotFound
+ * @extends HTMLElement
+ * @description Custom element shown by the router for unknown routes and notes that do not exist.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class PageNotFound extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._message = "";
+  }
+
+  /**
+   * List of attributes that trigger callback when changed
+   * @returns {string[]} Array of attribute names to observe
+   */
+  static get observedAttributes() {
+    return ["message"];
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      margin-top: 40px;
+      text-align: center;
+    }
+
+    h2 {
+      color: var(--light);
+      font-size: 48px;
+    }
+
+    p {
+      margin: 10px 0 20px;
+      color: var(--white-alpha-low);
+      overflow-wrap: anywhere;
+    }
+
+    a {
+      display: inline-block;
+      padding: 8px 16px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      color: var(--primary);
+      text-decoration: none;
+      transition: .3s;
+    }
+
+    a:hover {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   */
+  connectedCallback() {
+    this.render();
+  }
+
+  /**
+   * Callback that fires when an observed attribute changes
+   * @param {string} name - Name of the attribute that changed
+   * @param {string} oldValue - Previous value of the attribute
+   * @param {string} newValue - New value of the attribute
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    this._message = newValue;
+    if (this.isConnected) this.render();
+  }
+
+  /**
+   * Renders the message with a link back to the notes
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <h2>404</h2>
+      <p>${this._message || "This page does not exist."}</p>
+      <a href="#/">Back to notes</a>
+    `;
+  }
+
+  // Getter and setter for the message
+  get message() {
+    return this._message;
+  }
+
+  set message(value) {
+    this._message = value;
+    this.setAttribute("message", value);
+  }
+}
+
+customElements.define("page-not-found", PageNotFound);
@@ -0,0 +1,218 @@
+/**
+ * @class RegisterForm
+ * @extends HTMLElement
+ * @description Custom element with the form to create an account.
+ * Dispatches an event with the account and shows why it could not be created, the request
+ * itself is sent by the application, which logs the new account in.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class RegisterForm extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._passwordMinLength = 8;
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      max-width: 400px;
+      margin: 0 auto;
+    }
+
+    form {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      margin-top: 10px;
+    }
+
+    h2 {
+      color: var(--light);
+    }
+
+    label {
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    input {
+      padding: 10px;
+      border-radius: 4px;
+      font-size: 14px;
+      color: var(--white);
+      background-color: var(--dark);
+      border: 1px solid var(--white-alpha-low);
+    }
+
+    button {
+      padding: 10px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      font-size: 14px;
+      background-color: var(--primary);
+      color: var(--white);
+      cursor: pointer;
+      transition: .3s;
+      display: flex;
+      justify-content: center;
+      gap: 5px;
+    }
+
+    button:hover {
+      border: 1px solid var(--primary);
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    button:disabled,
+    button[disabled] {
+      background-color: #cccccc;
+      border-color: #bbbbbb;
+      color: #888888;
+      cursor: not-allowed;
+      opacity: 0.7;
+    }
+
+    p {
+      color: #b91c1c;
+    }
+
+    .switch {
+      font-size: 14px;
+      color: var(--white-alpha-low);
+    }
+
+    .switch a {
+      color: var(--primary);
+    }
+
+    .loading-spinner {
+      display: inline-block;
+      width: 16px;
+      height: 16px;
+      border: 2px solid rgba(255,255,255,0.3);
+      border-radius: 50%;
+      border-color: rgba(0,0,0,0.2);
+      border-top-color: #333;
+      animation: spin 0.8s linear infinite;
+      vertical-align: middle;
+      margin-right: 5px;
+    }
+
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   */
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.querySelector("form").addEventListener("submit", (event) => {
+      this.handleFormSubmit(event);
+    });
+  }
+
+  /**
+   * Checks the fields before they are sent
+   * @param {string} name - The name typed
+   * @param {string} email - The email typed
+   * @param {string} password - The password typed
+   * @returns {string} The problem with the fields, empty when they are valid
+   */
+  validate(name, email, password) {
+    if (!name) return "Please enter your name";
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return "Please enter a valid email";
+    if (password.length < this._passwordMinLength) {
+      return `Password at least ${this._passwordMinLength} character`;
+    }
+    return "";
+  }
+
+  /**
+   * Dispatches the account, the error is shown once it could not be created
+   * @param {Event} event - The form submission event
+   */
+  handleFormSubmit(event) {
+    event.preventDefault();
+
+    const name = this.shadowRoot.querySelector("#name").value.trim();
+    const email = this.shadowRoot.querySelector("#email").value.trim();
+    const password = this.shadowRoot.querySelector("#password").value;
+    const button = this.shadowRoot.querySelector("button");
+    const errorElement = this.shadowRoot.querySelector("#formError");
+
+    errorElement.textContent = this.validate(name, email, password);
+    if (errorElement.textContent) return;
+
+    this.dispatchEvent(
+      new CustomEvent("register-submitted", {
+        bubbles: true,
+        composed: true,
+        detail: {
+          name,
+          email,
+          password,
+          button,
+          onComplete: (error) => {
+            if (error) errorElement.textContent = error.message;
+          },
+        },
+      }),
+    );
+  }
+
+  /**
+   * Renders the form with a link to log in instead
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+
+      <h2>Register</h2>
+      <form class="register-form" novalidate>
+        <label for="name">Name</label>
+        <input id="name" type="text" autocomplete="name" required />
+        <label for="email">Email</label>
+        <input id="email" type="email" autocomplete="email" required />
+        <label for="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autocomplete="new-password"
+          minlength="${this._passwordMinLength}"
+          required
+        />
+        <p id="formError" role="alert"></p>
+        <button type="submit">Register</button>
+        <span class="switch">Already registered? <a href="#/login">Log in</a></span>
+      </form>
+    `;
+  }
+}
+
+customElements.define("register-form", RegisterForm);
@@ -0,0 +1,166 @@
+/**
+ * @class TagBar
+ * @extends HTMLElement
+ * @description Custom element listing the tags of a note list with their counts.
+ * Clicking a tag adds it to or removes it from the tag filter kept by HelperTags.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperTags from "../helper/helperTags.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class TagBar extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+    this._tags = [];
+    this._selected = [];
+
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: block;
+      margin-top: 10px;
+    }
+
+    .tag-list {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+    }
+
+    button {
+      padding: 2px 10px;
+      font-size: 13px;
+      border: 1px solid var(--white-alpha-low);
+      border-radius: 999px;
+      background-color: var(--dark);
+      color: var(--white-alpha-low);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    button:hover {
+      border-color: var(--primary);
+      color: var(--primary);
+    }
+
+    button[aria-pressed="true"] {
+      border-color: var(--primary);
+      background-color: var(--primary);
+      color: var(--dark);
+    }
+
+    .tag-count {
+      margin-left: 4px;
+      opacity: .8;
+    }
+
+    .tag-clear {
+      border-style: dashed;
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the tags and sets up event listeners
+   */
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.addEventListener("click", this.handleClick);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.shadowRoot.removeEventListener("click", this.handleClick);
+  }
+
+  /**
+   * Event handler for the tag buttons
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    const button = event.target.closest("button");
+    if (!button) return;
+
+    if (button.classList.contains("tag-clear")) {
+      HelperTags.setSelected([]);
+    } else {
+      HelperTags.toggle(button.dataset.tag);
+    }
+  }
+
+  /**
+   * Renders a button for every tag, plus the selected tags that no listed note has anymore
+   */
+  render() {
+    this.getStyles();
+
+    const counts = new Map(this._tags.map(({ tag, count }) => [tag, count]));
+    this._selected.forEach((tag) => {
+      if (!counts.has(tag)) counts.set(tag, 0);
+    });
+
+    if (counts.size === 0) {
+      this.shadowRoot.innerHTML = html`${raw(this._style.outerHTML)}`;
+      return;
+    }
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <div class="tag-list" role="group" aria-label="Filter by tag">
+        ${[...counts].map(
+          ([tag, count]) => html`
+            <button data-tag="${tag}" aria-pressed="${String(this._selected.includes(tag))}">
+              #${tag}<span class="tag-count">${count}</span>
+            </button>
+          `,
+        )}
+        ${this._selected.length > 0 ? html`<button class="tag-clear">Clear tags</button>` : ""}
+      </div>
+    `;
+  }
+
+  // Getter and setter for the tags with their counts, as returned by HelperTags.count
+  get tags() {
+    return this._tags;
+  }
+
+  set tags(value) {
+    this._tags = value;
+    if (this.isConnected) this.render();
+  }
+
+  // Getter and setter for the tags the list is filtered by
+  get selected() {
+    return this._selected;
+  }
+
+  set selected(value) {
+    this._selected = value;
+    if (this.isConnected) this.render();
+  }
+}
+
+customElements.define("tag-bar", TagBar);
@@ -0,0 +1,199 @@
+/**
+ * @class ToastContainer
+ * @extends HTMLElement
+ * @description Custom element that stacks toast notifications in the corner of the screen.
+ * Listens for "toast-requested" events (see HelperToast), supports success, info and error
+ * toasts with optional action buttons, and removes each toast after its duration.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+const DEFAULT_DURATION = {
+  success: 3000,
+  info: 4000,
+  error: 6000,
+};
+
+// Toasts with actions stay longer so there is time to use them
+const ACTION_DURATION = 8000;
+
+class ToastContainer extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+
+    this.handleToastRequested = this.handleToastRequested.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      position: fixed;
+      right: 1rem;
+      bottom: 1rem;
+      z-index: 100;
+      display: block;
+      max-width: calc(100% - 2rem);
+      pointer-events: none;
+    }
+
+    .toast-stack {
+      display: flex;
+      flex-direction: column;
+      align-items: flex-end;
+      gap: 10px;
+    }
+
+    .toast {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      width: 320px;
+      max-width: 100%;
+      padding: 10px;
+      font-size: 14px;
+      border: 1px solid var(--white-alpha-low);
+      border-left-width: 4px;
+      border-radius: 4px;
+      background-color: var(--dark);
+      color: var(--white);
+      pointer-events: auto;
+      animation: slide-in .2s ease-out;
+    }
+
+    .toast.success {
+      border-left-color: #4ade80;
+    }
+
+    .toast.info {
+      border-left-color: var(--primary);
+    }
+
+    .toast.error {
+      border-left-color: #f87171;
+    }
+
+    .toast-message {
+      flex: 1;
+      overflow-wrap: anywhere;
+      white-space: pre-line;
+    }
+
+    button {
+      padding: 3px 8px;
+      font-size: 13px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      background-color: var(--primary);
+      color: var(--white);
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    button:hover {
+      background-color: var(--dark);
+      color: var(--primary);
+    }
+
+    .toast-close {
+      border: none;
+      background: none;
+      color: var(--white-alpha-low);
+      font-size: 16px;
+      line-height: 1;
+    }
+
+    @keyframes slide-in {
+      0% { transform: translateY(10px); opacity: 0; }
+      100% { transform: translateY(0); opacity: 1; }
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the container and starts listening for toast requests
+   */
+  connectedCallback() {
+    this.render();
+    document.addEventListener("toast-requested", this.handleToastRequested);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    document.removeEventListener("toast-requested", this.handleToastRequested);
+  }
+
+  /**
+   * Event handler for toast requests
+   * @param {CustomEvent} event - Event with type, message, actions and duration in its detail
+   */
+  handleToastRequested(event) {
+    this.addToast(event.detail);
+  }
+
+  /**
+   * Adds a toast to the stack and schedules its removal
+   * @param {Object} toast - Toast options, see HelperToast.show
+   */
+  addToast({ type = "info", message, actions = [], duration }) {
+    const template = document.createElement("template");
+    template.innerHTML = html`
+      <div class="toast ${type}" role="${type === "error" ? "alert" : "status"}">
+        <span class="toast-message">${message}</span>
+        ${actions.map(({ label }, index) => html`<button data-action="${index}">${label}</button>`)}
+        <button class="toast-close" aria-label="Dismiss">&times;</button>
+      </div>
+    `;
+
+    const toast = template.content.firstElementChild;
+    const timeout = duration || (actions.length > 0 ? ACTION_DURATION : DEFAULT_DURATION[type]);
+    const timeoutId = setTimeout(() => toast.remove(), timeout);
+
+    toast.addEventListener("click", (event) => {
+      const button = event.target.closest("button");
+      if (!button) return;
+
+      clearTimeout(timeoutId);
+      toast.remove();
+
+      if (button.dataset.action !== undefined) {
+        actions[Number(button.dataset.action)].onClick();
+      }
+    });
+
+    this.shadowRoot.querySelector(".toast-stack").appendChild(toast);
+  }
+
+  /**
+   * Renders the empty stack
+   */
+  render() {
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      <div class="toast-stack" aria-live="polite"></div>
+    `;
+  }
+}
+
+customElements.define("toast-container", ToastContainer);
@@ -0,0 +1,137 @@
+/**
+ * @class UserBadge
+ * @extends HTMLElement
+ * @description Custom element in the header showing who is logged in, with a logout button,
+ * or a link to the login when nobody is. Hidden when the build does not require a login.
+ * Uses Shadow DOM for encapsulation and global styles for consistent appearance.
+ */
+import globalStyles from "../globalStylesheet.js";
+import Auth from "../data/auth.js";
+import HelperTemplate from "../helper/helperTemplate.js";
+
+const { html, raw } = HelperTemplate;
+
+class UserBadge extends HTMLElement {
+  /**
+   * Initialize the component with shadow DOM and global styles
+   */
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.adoptedStyleSheets = [globalStyles];
+    this._style = document.createElement("style");
+
+    this.render = this.render.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Gets CSS styles for the component
+   * @returns {string} CSS styles as a string
+   */
+  getStyles() {
+    const styles = `
+    :host {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    .user-name {
+      color: var(--white-alpha-low);
+      font-size: 14px;
+      overflow-wrap: anywhere;
+    }
+
+    a,
+    button {
+      padding: 8px 16px;
+      border: 1px solid var(--primary);
+      border-radius: 4px;
+      font-size: 14px;
+      background-color: var(--dark);
+      color: var(--primary);
+      text-decoration: none;
+      cursor: pointer;
+      transition: .3s;
+    }
+
+    a:hover,
+    button:hover {
+      background-color: var(--primary);
+      color: var(--white);
+    }
+
+    button:disabled {
+      cursor: not-allowed;
+      opacity: 0.7;
+    }
+  `;
+
+    this._style.textContent = styles;
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is added to the DOM
+   * Renders the current user and follows logins and logouts
+   */
+  connectedCallback() {
+    this.hidden = !Auth.isRequired();
+    this.render();
+    this.shadowRoot.addEventListener("click", this.handleClick);
+    document.addEventListener("auth-changed", this.render);
+  }
+
+  /**
+   * Component lifecycle method that runs when the element is removed from the DOM
+   * Removes event listeners to prevent memory leaks
+   */
+  disconnectedCallback() {
+    this.shadowRoot.removeEventListener("click", this.handleClick);
+    document.removeEventListener("auth-changed", this.render);
+  }
+
+  /**
+   * Event handler for the logout button
+   * @param {Event} event - The click event
+   */
+  handleClick(event) {
+    const button = event.target.closest(".logout");
+    if (!button) return;
+
+    this.dispatchEvent(
+      new CustomEvent("user-logout", {
+        bubbles: true,
+        composed: true,
+        detail: { button },
+      }),
+    );
+  }
+
+  /**
+   * Renders the user name and logout button, or the login link
+   */
+  render() {
+    const user = Auth.user;
+    this.getStyles();
+
+    this.shadowRoot.innerHTML = html`
+      ${raw(this._style.outerHTML)}
+      ${
+        user
+          ? html`
+              <span class="user-name" title="${user.email}">${user.name}</span>
+              <button class="logout" type="button">Log out</button>
+            `
+          : html`<a href="#/login">Log in</a>`
+      }
+    `;
+  }
+}
+
+customElements.define("user-badge", UserBadge);
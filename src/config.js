@@ -0,0 +1,40 @@
+/**
+ * Application configuration resolved at build time
+ * Values are injected by webpack's DefinePlugin from environment variables
+ *
+ * @file config.js
+ */
+
+const config = {
+  /**
+   * Storage backend used by NoteApi: "rest", "local" or "memory"
+   * @type {string}
+   */
+  storage: process.env.NOTES_STORAGE || "rest",
+
+  /**
+   * Base URL of the notes API used by the REST adapter
+   * @type {string}
+   */
+  apiBaseUrl: process.env.NOTES_API_BASE_URL || "https://notes-api.dicoding.dev/v2",
+
+  /**
+   * Milliseconds a request may take before it is aborted, unless a call passes its own timeout
+   * @type {number}
+   */
+  requestTimeout: Number(process.env.NOTES_REQUEST_TIMEOUT) || 5000,
+
+  /**
+   * Whether the REST API can edit notes with `PUT /notes/:id`, the Dicoding API cannot
+   * @type {boolean}
+   */
+  apiCanUpdate: process.env.NOTES_API_CAN_UPDATE === "true",
+
+  /**
+   * Whether the REST API needs a logged in user, whose bearer token is sent with every request
+   * @type {boolean}
+   */
+  auth: process.env.NOTES_AUTH === "true",
+};
+
+export default config;
@@ -0,0 +1,46 @@
+/**
+ * Storage adapter registry
+ * Every adapter implements the same methods NoteApi delegates to:
+ * getActiveNote, getArchiveNote, createNote, updateNote, archiveNote, unarchiveNote and deleteNote,
+ * and a `canUpdate` flag telling whether updateNote is supported.
+ * Each takes an optional `{ timeout, signal }` as its last argument, which the memory and
+ * localStorage adapters ignore since they answer at once.
+ * When the build requires a login, the REST adapter authenticates its requests with Auth.
+ *
+ * @file index.js
+ */
+import config from "../../config.js";
+import Auth from "../auth.js";
+import RestAdapter from "./restAdapter.js";
+import LocalStorageAdapter from "./localStorageAdapter.js";
+import MemoryAdapter from "./memoryAdapter.js";
+
+const adapters = {
+  rest: () =>
+    new RestAdapter(config.apiBaseUrl, {
+      timeout: config.requestTimeout,
+      canUpdate: config.apiCanUpdate,
+      auth: Auth.isRequired() ? Auth : null,
+    }),
+  local: () => new LocalStorageAdapter(),
+  memory: () => new MemoryAdapter(),
+};
+
+/**
+ * Creates a storage adapter by name
+ *
+ * @param { string } name - One of "rest", "local" or "memory"
+ * @returns { RestAdapter|LocalStorageAdapter|MemoryAdapter } The storage adapter
+ * @throws { Error } - Throws when the name does not match a known adapter
+ */
+function createAdapter(name) {
+  const factory = adapters[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${name}"`);
+  }
+
+  return factory();
+}
+
+export { createAdapter, RestAdapter, LocalStorageAdapter, MemoryAdapter };
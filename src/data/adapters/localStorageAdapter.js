@@ -0,0 +1,43 @@
+/**
+ * @class LocalStorageAdapter
+ * @extends MemoryAdapter
+ * @description Storage adapter that keeps notes in the browser's localStorage,
+ * so they survive page reloads without any server.
+ */
+import MemoryAdapter from "./memoryAdapter.js";
+
+const STORAGE_KEY = "notes-app:notes";
+
+class LocalStorageAdapter extends MemoryAdapter {
+  /**
+   * @param { string } [storageKey] - localStorage key the notes are saved under
+   */
+  constructor(storageKey = STORAGE_KEY) {
+    super(LocalStorageAdapter.load(storageKey));
+    this._storageKey = storageKey;
+  }
+
+  /**
+   * Reads the saved notes from localStorage
+   *
+   * @param { string } storageKey - localStorage key the notes are saved under
+   * @returns { Object[] } The saved notes, or an empty array if none or unreadable
+   */
+  static load(storageKey) {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || [];
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }
+
+  /**
+   * Writes all notes to localStorage after a mutation
+   */
+  persist() {
+    localStorage.setItem(this._storageKey, JSON.stringify([...this._notes.values()]));
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,161 @@
+/**
+ * @class MemoryAdapter
+ * @description Storage adapter that keeps notes in memory for the lifetime of the page.
+ * Useful for running the app without a network and for exercising components in isolation.
+ * Notes are returned as copies so callers cannot mutate the stored data.
+ * Missing notes are reported with the same 404 HttpError as the REST API.
+ */
+import { HttpError } from "../errors.js";
+
+class MemoryAdapter {
+  /**
+   * @param { Object[] } [notes] - Initial notes to seed the adapter with
+   */
+  constructor(notes = []) {
+    this._notes = new Map();
+    this.canUpdate = true;
+
+    notes.forEach((note) => {
+      this._notes.set(note.id, { ...note });
+    });
+  }
+
+  /**
+   * Generates an ID in the same shape as the ones issued by the Dicoding API
+   *
+   * @returns { string } A new unique note ID
+   */
+  generateId() {
+    const random = Math.random().toString(36).slice(2, 10);
+    return `notes-${Date.now().toString(36)}${random}`;
+  }
+
+  /**
+   * Hook called after every mutation, overridden by persistent adapters
+   */
+  persist() {}
+
+  /**
+   * Looks up a stored note by ID
+   *
+   * @param { string|number } noteId - The ID of the note
+   * @returns { Object } The stored note
+   * @throws { HttpError } - Throws a 404 error when no note exists with the given ID
+   */
+  findNote(noteId) {
+    const note = this._notes.get(noteId);
+
+    if (!note) {
+      throw new HttpError(404, "Note is not found");
+    }
+
+    return note;
+  }
+
+  /**
+   * Returns copies of the stored notes matching the archived state
+   *
+   * @param { boolean } archived - Whether to return archived or active notes
+   * @returns { Object[] } Array of notes
+   */
+  listNotes(archived) {
+    return [...this._notes.values()]
+      .filter((note) => note.archived === archived)
+      .map((note) => ({ ...note }));
+  }
+
+  /**
+   * Retrieve active (non-archived) notes
+   *
+   * @returns { Promise<Object[]> } - Array of active notes
+   */
+  async getActiveNote() {
+    return this.listNotes(false);
+  }
+
+  /**
+   * Retrieve archived notes
+   *
+   * @returns { Promise<Object[]> } - Array of archived notes
+   */
+  async getArchiveNote() {
+    return this.listNotes(true);
+  }
+
+  /**
+   * Archive a specific note by ID
+   *
+   * @param { string|number } noteId - The ID of the note to archive
+   * @returns { Promise<void> }
+   */
+  async archiveNote(noteId) {
+    this.findNote(noteId).archived = true;
+    this.persist();
+  }
+
+  /**
+   * Unarchive a specific note by ID
+   *
+   * @param { string|number } noteId - The ID of the note to unarchive
+   * @returns { Promise<void> }
+   */
+  async unarchiveNote(noteId) {
+    this.findNote(noteId).archived = false;
+    this.persist();
+  }
+
+  /**
+   * Create a new note
+   *
+   * @param { Object } note - The note object to create
+   * @param { String } note.title - The title of the note
+   * @param { String } note.body - The content of the note
+   * @returns { Promise<Object> } - The created note
+   */
+  async createNote(note) {
+    const newNote = {
+      id: this.generateId(),
+      title: note.title,
+      body: note.body,
+      createdAt: new Date().toISOString(),
+      archived: false,
+    };
+
+    this._notes.set(newNote.id, newNote);
+    this.persist();
+
+    return { ...newNote };
+  }
+
+  /**
+   * Update the title and body of an existing note
+   *
+   * @param { Object } note - The note object to update
+   * @param { string|number } note.id - The ID of the note to update
+   * @param { String } note.title - The new title of the note
+   * @param { String } note.body - The new body of the note
+   * @returns { Promise<Object> } - The updated note
+   */
+  async updateNote(note) {
+    const storedNote = this.findNote(note.id);
+    storedNote.title = note.title;
+    storedNote.body = note.body;
+    this.persist();
+
+    return { ...storedNote };
+  }
+
+  /**
+   * Delete specific note by ID
+   *
+   * @param { string|number } noteId - The ID of the note to delete
+   * @returns { Promise<void> }
+   */
+  async deleteNote(noteId) {
+    this.findNote(noteId);
+    this._notes.delete(noteId);
+    this.persist();
+  }
+}
+
+export default MemoryAdapter;
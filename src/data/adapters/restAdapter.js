@@ -0,0 +1,333 @@
+/**
+ * @class RestAdapter
+ * @description Storage adapter that talks to the Dicoding Notes API v2 over HTTP.
+ * Every method resolves with the `data` field of the server response and rejects with one of
+ * the error types from errors.js. GET requests are retried with exponential backoff when the
+ * server cannot be reached; mutations are never retried automatically.
+ * Every method takes an optional `{ timeout, signal }` as its last argument to override the
+ * timeout of the call and to let the caller cancel it.
+ * With an `auth` session every request carries its bearer token, and a request answered
+ * with 401 is sent once more after the token was refreshed.
+ * The Dicoding API has no route to edit a note, so `updateNote` is only available when the
+ * server is known to accept `PUT /notes/:id`, like the local mock server.
+ */
+import {
+  TimeoutError,
+  AbortedError,
+  UnsupportedError,
+  NetworkError,
+  HttpError,
+  InvalidResponseError,
+  isConnectivityError,
+} from "../errors.js";
+
+const BASE_URL = "https://notes-api.dicoding.dev/v2";
+const TIMEOUT = 5000;
+
+class RestAdapter {
+  /**
+   * @param { string } [baseUrl] - Base URL of the notes API
+   * @param { Object } [options]
+   * @param { number } [options.retries] - How many times a failed GET is retried
+   * @param { number } [options.retryDelay] - Delay before the first retry in milliseconds,
+   * doubled for every following retry
+   * @param { number } [options.timeout] - Default timeout of a request in milliseconds
+   * @param { Object } [options.auth] - Session providing `getAccessToken`, `refresh` and
+   * `expire`, see Auth
+   * @param { boolean } [options.canUpdate] - Whether the server accepts `PUT /notes/:id`
+   */
+  constructor(baseUrl = BASE_URL, options = {}) {
+    this.baseUrl = baseUrl;
+    this.timeout = options.timeout || TIMEOUT;
+    this.auth = options.auth || null;
+    this.canUpdate = options.canUpdate === true;
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 500;
+  }
+
+  /**
+   * Helper method for fetching with a timeout that the caller can also cancel
+   * Returns the data from the response or throws a typed error.
+   *
+   * @param { string } url - The URL to fetch from
+   * @param { Object } options - Fetch options like method, header, body
+   * @param { number } [options.timeout] - Timeout in milliseconds, the adapter default if omitted
+   * @param { AbortSignal } [options.signal] - Cancels the request when aborted
+   * @returns { Promise<any> } - The `data` field of the parsed JSON response
+   * @throws { TimeoutError } - When the request exceeds the timeout
+   * @throws { AbortedError } - When the caller aborted the request
+   * @throws { NetworkError } - When the server cannot be reached
+   * @throws { HttpError } - When the response status is outside the 2xx range
+   * @throws { InvalidResponseError } - When the body is not the expected JSON envelope
+   */
+  async fetchWithTimeout(url, options = {}) {
+    const { timeout = this.timeout, signal, ...fetchOptions } = options;
+
+    if (signal && signal.aborted) {
+      throw new AbortedError();
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    let response;
+
+    if (signal) signal.addEventListener("abort", abort);
+
+    try {
+      response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw timedOut
+          ? new TimeoutError(timeout, { cause: error })
+          : new AbortedError({ cause: error });
+      }
+
+      // fetch rejects with a TypeError when the server cannot be reached at all
+      throw new NetworkError({ cause: error });
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener("abort", abort);
+    }
+
+    let payload;
+
+    try {
+      payload = await response.json();
+    } catch (error) {
+      if (!response.ok) throw new HttpError(response.status);
+      throw new InvalidResponseError("Response body is not JSON", { cause: error });
+    }
+
+    if (!response.ok) {
+      throw new HttpError(response.status, payload && payload.message);
+    }
+
+    if (!payload || typeof payload !== "object" || payload.status !== "success") {
+      throw new InvalidResponseError("Response is missing the success envelope");
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Sends a request to a path of the API, authenticated when the adapter has a session.
+   * A 401 means the access token expired, so it is refreshed and the request sent again,
+   * which is safe as the server refused the request. When the token cannot be refreshed,
+   * or the new one is refused too, the session expires.
+   *
+   * @param { string } path - Path relative to the base URL
+   * @param { Object } [options] - Fetch options like method, header, body, plus the `timeout`
+   * and `signal` of fetchWithTimeout
+   * @returns { Promise<any> } - The `data` field of the parsed JSON response
+   */
+  async request(path, options = {}) {
+    const token = this.auth && this.auth.getAccessToken();
+
+    if (!token) {
+      return this.send(path, options);
+    }
+
+    try {
+      return await this.send(path, options, token);
+    } catch (error) {
+      if (error.code !== "unauthorized") throw error;
+
+      // Another request may have refreshed the token while this one was running
+      const current = this.auth.getAccessToken();
+      const refreshed = (current && current !== token) || (await this.auth.refresh());
+
+      if (!refreshed) {
+        this.auth.expire();
+        throw error;
+      }
+    }
+
+    try {
+      return await this.send(path, options, this.auth.getAccessToken());
+    } catch (error) {
+      if (error.code === "unauthorized") this.auth.expire();
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a request with an optional bearer token.
+   * GET requests are safe to repeat, so they are retried with exponential backoff
+   * while the server cannot be reached.
+   *
+   * @param { string } path - Path relative to the base URL
+   * @param { Object } [options] - Fetch options like method, header, body, plus the `timeout`
+   * and `signal` of fetchWithTimeout
+   * @param { string } [token] - Access token sent in the Authorization header
+   * @returns { Promise<any> } - The `data` field of the parsed JSON response
+   */
+  async send(path, options = {}, token = null) {
+    const method = options.method || "GET";
+    const retries = method === "GET" ? this.retries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchWithTimeout(
+          `${this.baseUrl}${path}`,
+          token
+            ? { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } }
+            : options,
+        );
+      } catch (error) {
+        const offline = error instanceof NetworkError && error.offline;
+
+        if (attempt >= retries || offline || !isConnectivityError(error)) {
+          throw error;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+
+        // Nobody waits for the answer anymore, so there is nothing left to retry for
+        if (options.signal && options.signal.aborted) {
+          throw new AbortedError();
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks that a list endpoint returned an array of notes
+   *
+   * @param { any } data - The `data` field of the response
+   * @returns { Object[] } The notes
+   * @throws { InvalidResponseError } - When the data is not an array
+   */
+  expectNotes(data) {
+    if (!Array.isArray(data)) {
+      throw new InvalidResponseError("Expected a list of notes");
+    }
+
+    return data;
+  }
+
+  /**
+   * Retrieve active (non-archived) notes from the server
+   *
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<Object[]> } - Array of active notes
+   */
+  async getActiveNote(options) {
+    return this.expectNotes(await this.request("/notes", options));
+  }
+
+  /**
+   * Retrieve archived notes from the server
+   *
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<Object[]> } - Array of archived notes
+   */
+  async getArchiveNote(options) {
+    return this.expectNotes(await this.request("/notes/archived", options));
+  }
+
+  /**
+   * Archive a specific note by ID
+   *
+   * @param { string|number } noteId - The ID of the note to archive
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<void> }
+   */
+  archiveNote(noteId, options = {}) {
+    return this.request(`/notes/${noteId}/archive`, {
+      ...options,
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+  }
+
+  /**
+   * Unarchive a specific note by ID
+   *
+   * @param { string|number } noteId - The ID of the note to unarchive
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<void> }
+   */
+  unarchiveNote(noteId, options = {}) {
+    return this.request(`/notes/${noteId}/unarchive`, {
+      ...options,
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+  }
+
+  /**
+   * Create a new note
+   *
+   * @param { Object } note - The note object to create
+   * @param { String } note.title - The title of the note
+   * @param { String } note.body - The content of the note
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<Object> } - The created note
+   */
+  createNote(note, options = {}) {
+    return this.request("/notes", {
+      ...options,
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(note),
+    });
+  }
+
+  /**
+   * Update the title and body of an existing note
+   *
+   * @param { Object } note - The note object to update
+   * @param { string|number } note.id - The ID of the note to update
+   * @param { String } note.title - The new title of the note
+   * @param { String } note.body - The new body of the note
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<Object> } - The updated note
+   * @throws { UnsupportedError } - When the server has no route to edit notes
+   */
+  async updateNote(note, options = {}) {
+    const { id, title, body } = note;
+
+    if (!this.canUpdate) {
+      throw new UnsupportedError("This server does not support editing notes");
+    }
+
+    return this.request(`/notes/${id}`, {
+      ...options,
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ title, body }),
+    });
+  }
+
+  /**
+   * Delete specific note by ID
+   *
+   * @param { string|number } noteId - The ID of the note to delete
+   * @param { Object } [options] - The `timeout` and `signal` of the request
+   * @returns { Promise<void> }
+   */
+  deleteNote(noteId, options = {}) {
+    return this.request(`/notes/${noteId}`, {
+      ...options,
+      method: "DELETE",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+  }
+}
+
+export default RestAdapter;
@@ -0,0 +1,268 @@
+/**
+ * @class Auth
+ * @description Session of the user logged in to the notes API.
+ * Keeps the access token, the refresh token and the user in localStorage, so a reload stays
+ * logged in. The REST adapter attaches the access token to every request and asks Auth for a
+ * new one when the server answers 401. A session that cannot be refreshed expires, which
+ * sends the user back to the login.
+ * Only used when the build enables it with NOTES_AUTH=true and the notes live on the server.
+ */
+import config from "../config.js";
+import RestAdapter from "./adapters/restAdapter.js";
+import { isConnectivityError } from "./errors.js";
+
+const STORAGE_KEY = "notes-app:session";
+
+class Auth {
+  /**
+   * Whether the application needs a logged in user
+   *
+   * @returns { boolean }
+   */
+  static isRequired() {
+    return config.auth && config.storage === "rest";
+  }
+
+  /**
+   * The stored session, loaded from localStorage on first access
+   *
+   * @returns { { accessToken: string, refreshToken: string, user: Object }|null }
+   */
+  static get session() {
+    if (this._session === undefined) {
+      try {
+        this._session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      } catch (error) {
+        console.error(error);
+        this._session = null;
+      }
+    }
+
+    return this._session;
+  }
+
+  /**
+   * Stores the session, or removes it
+   *
+   * @param { Object|null } session - The new session, null to log out
+   */
+  static save(session) {
+    this._session = session;
+
+    if (session) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Tells the components that a user logged in or out
+   *
+   * @fires CustomEvent#auth-changed
+   */
+  static notify() {
+    document.dispatchEvent(
+      new CustomEvent("auth-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { user: this.user },
+      }),
+    );
+  }
+
+  /**
+   * Client for the account routes, which are never retried and never refreshed
+   *
+   * @returns { RestAdapter }
+   */
+  static get api() {
+    if (!this._api) {
+      this._api = new RestAdapter(config.apiBaseUrl, {
+        timeout: config.requestTimeout,
+        retries: 0,
+      });
+    }
+
+    return this._api;
+  }
+
+  /**
+   * Whether a user is logged in
+   *
+   * @returns { boolean }
+   */
+  static isLoggedIn() {
+    return Boolean(this.session);
+  }
+
+  /**
+   * The logged in user
+   *
+   * @returns { { id: string, name: string, email: string }|null }
+   */
+  static get user() {
+    return this.session ? this.session.user : null;
+  }
+
+  /**
+   * The access token sent as bearer token
+   *
+   * @returns { string|null }
+   */
+  static getAccessToken() {
+    return this.session ? this.session.accessToken : null;
+  }
+
+  /**
+   * Scopes a localStorage key to the logged in user, so what one account queued or set up is
+   * never applied to another
+   *
+   * @param { string } key - The key used without a login
+   * @returns { string } The key, followed by the user ID when a login is required
+   */
+  static storageKey(key) {
+    return this.isRequired() && this.user ? `${key}:${this.user.id}` : key;
+  }
+
+  /**
+   * Creates an account and logs it in
+   *
+   * @param { Object } account
+   * @param { string } account.name - The name shown in the header
+   * @param { string } account.email - The email used to log in
+   * @param { string } account.password - The password, at least 8 characters
+   * @returns { Promise<Object> } The logged in user
+   * @throws { NoteApiError } - When the account cannot be created, e.g. the email is taken
+   */
+  static async register({ name, email, password }) {
+    await this.api.request("/register", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ name, email, password }),
+    });
+
+    return this.login({ email, password });
+  }
+
+  /**
+   * Logs a user in and stores the session
+   *
+   * @param { Object } credentials
+   * @param { string } credentials.email - The email of the account
+   * @param { string } credentials.password - The password of the account
+   * @returns { Promise<Object> } The logged in user
+   * @throws { NoteApiError } - When the credentials are wrong or the server cannot be reached
+   * @fires CustomEvent#auth-changed
+   */
+  static async login({ email, password }) {
+    const { accessToken, refreshToken } = await this.api.request("/login", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ email, password }),
+    });
+    const user = await this.api.request("/users/me", {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    this.save({ accessToken, refreshToken, user });
+    this.notify();
+    return user;
+  }
+
+  /**
+   * Trades the refresh token for a new access token
+   * Concurrent calls share one request, so requests that fail together refresh once.
+   *
+   * @returns { Promise<boolean> } Whether there is a new access token
+   * @throws { NoteApiError } - When the server cannot be reached, the session is kept then
+   */
+  static refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this.runRefresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+
+    return this._refreshing;
+  }
+
+  /**
+   * Sends the refresh, see `refresh`
+   *
+   * @returns { Promise<boolean> } Whether there is a new access token
+   * @throws { NoteApiError } - When the server cannot be reached
+   */
+  static async runRefresh() {
+    const session = this.session;
+    if (!session) return false;
+
+    try {
+      const { accessToken } = await this.api.request("/authentications", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      });
+
+      // The user logged out while the refresh was running
+      if (this.session !== session) return false;
+
+      this.save({ ...session, accessToken });
+      return true;
+    } catch (error) {
+      if (isConnectivityError(error)) throw error;
+      return false;
+    }
+  }
+
+  /**
+   * Logs the user out, the session is dropped even when the server cannot be told
+   *
+   * @returns { Promise<void> }
+   * @fires CustomEvent#auth-changed
+   */
+  static async logout() {
+    const session = this.session;
+    if (!session) return;
+
+    this.save(null);
+    this.notify();
+
+    try {
+      await this.api.request("/authentications", {
+        method: "DELETE",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      });
+    } catch (error) {
+      // The refresh token only stays valid on the server, nothing the user can act on
+      console.error(error);
+    }
+  }
+
+  /**
+   * Drops a session the server no longer accepts
+   *
+   * @fires CustomEvent#auth-changed
+   * @fires CustomEvent#auth-expired
+   */
+  static expire() {
+    if (!this.session) return;
+
+    this.save(null);
+    this.notify();
+    document.dispatchEvent(new CustomEvent("auth-expired", { bubbles: true, composed: true }));
+  }
+}
+
+export default Auth;
@@ -0,0 +1,156 @@
+/**
+ * Error types thrown by NoteApi and its storage adapters
+ * Every error carries a `code` so the UI can tell "note not found" apart from
+ * "server down" and "you are offline", and a message that can be shown to the user.
+ *
+ * @file errors.js
+ */
+
+/**
+ * Base class for every note data error
+ */
+class NoteApiError extends Error {
+  /**
+   * @param { string } message - Message that can be shown to the user
+   * @param { string } code - Machine readable error kind
+   * @param { Object } [options] - Error options, e.g. `{ cause }`
+   */
+  constructor(message, code, options) {
+    super(message, options);
+    this.name = "NoteApiError";
+    this.code = code;
+  }
+}
+
+/**
+ * The request was aborted because it took longer than the timeout
+ */
+class TimeoutError extends NoteApiError {
+  /**
+   * @param { number } timeout - The timeout in milliseconds
+   * @param { Object } [options] - Error options, e.g. `{ cause }`
+   */
+  constructor(timeout, options) {
+    super(`Request took longer than ${timeout / 1000} seconds`, "timeout", options);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The request was cancelled by its caller, e.g. because the view that needed it was closed
+ */
+class AbortedError extends NoteApiError {
+  /**
+   * @param { Object } [options] - Error options, e.g. `{ cause }`
+   */
+  constructor(options) {
+    super("The request was cancelled", "aborted", options);
+    this.name = "AbortedError";
+  }
+}
+
+/**
+ * The storage cannot perform the operation at all, e.g. editing against an API without
+ * an update route
+ */
+class UnsupportedError extends NoteApiError {
+  /**
+   * @param { string } message - Message that can be shown to the user
+   */
+  constructor(message) {
+    super(message, "unsupported");
+    this.name = "UnsupportedError";
+  }
+}
+
+/**
+ * The server could not be reached, either because the browser is offline or the host is down
+ */
+class NetworkError extends NoteApiError {
+  /**
+   * @param { Object } [options] - Error options, e.g. `{ cause }`
+   */
+  constructor(options) {
+    const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+
+    super(
+      offline ? "You are offline" : "Cannot reach the server",
+      offline ? "offline" : "network",
+      options,
+    );
+    this.name = "NetworkError";
+    this.offline = offline;
+  }
+}
+
+/**
+ * The server answered with a status outside the 2xx range
+ */
+class HttpError extends NoteApiError {
+  /**
+   * @param { number } status - HTTP status code
+   * @param { string } [serverMessage] - The `message` field of the response body
+   */
+  constructor(status, serverMessage) {
+    let message = serverMessage || `Request failed with status ${status}`;
+    let code = "http";
+
+    if (status === 401) {
+      message = serverMessage || "Please log in again";
+      code = "unauthorized";
+    } else if (status === 404) {
+      message = "Note not found";
+      code = "not-found";
+    } else if (status >= 500) {
+      message = "The server is down, please try again later";
+      code = "server";
+    }
+
+    super(message, code);
+    this.name = "HttpError";
+    this.status = status;
+    this.serverMessage = serverMessage || "";
+  }
+}
+
+/**
+ * The server answered, but not with the `{ status, message, data }` envelope that was expected
+ */
+class InvalidResponseError extends NoteApiError {
+  /**
+   * @param { string } [detail] - What was wrong with the response
+   * @param { Object } [options] - Error options, e.g. `{ cause }`
+   */
+  constructor(detail, options) {
+    super("The server sent an invalid response", "invalid-response", options);
+    this.name = "InvalidResponseError";
+    this.detail = detail || "";
+  }
+}
+
+/**
+ * Checks whether an error means the server could not be reached at all, so the same
+ * request may succeed later without any change
+ *
+ * @param { Error } error - Any error thrown by NoteApi
+ * @returns { boolean }
+ */
+function isConnectivityError(error) {
+  return (
+    error instanceof TimeoutError ||
+    error instanceof NetworkError ||
+    (error instanceof HttpError && error.status >= 500)
+  );
+}
+
+export {
+  NoteApiError,
+  TimeoutError,
+  AbortedError,
+  UnsupportedError,
+  NetworkError,
+  HttpError,
+  InvalidResponseError,
+  isConnectivityError,
+};
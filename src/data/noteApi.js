@@ -1,130 +1,141 @@
-const BASE_URL = "https://notes-api.dicoding.dev/v2";
-
+import config from "../config.js";
+import { createAdapter } from "./adapters/index.js";
+import RequestCache from "./requestCache.js";
+
+// Cache keys of the note lists, named after their REST paths
+const LIST_KEYS = ["notes", "notes/archived"];
+
+/**
+ * @class NoteApi
+ * @description Entry point for all note data access.
+ * Delegates every call to a storage adapter (REST, localStorage or in-memory),
+ * chosen from the build configuration unless replaced with `useAdapter`.
+ * The note lists are read through RequestCache, so a cached list is returned at once and
+ * revalidated in the background, and every mutation invalidates them.
+ * Every method takes an optional `{ timeout, signal }` as its last argument to override the
+ * default timeout from the configuration and to cancel the call with an AbortSignal.
+ * Failures are reported with the error types from errors.js.
+ */
 class NoteApi {
   /**
-   * Helper method for fetching with a specific timeout
-   * Returns the data from the response or throws an error if the request times out.
+   * The storage adapter in use, created from the configuration on first access
    *
-   * @param { string } url - The URL to fetch from
-   * @param { Object } options - Fetch options like method, header, body
-   * @returns { Promise<any> } - Parsed JSON data for GET requests, response object for DELETE/POST method
-   * @throws {Error} - Throws error if request exceeds 5 seconds or network fails
+   * @returns { Object } The active storage adapter
    */
-  static async fetchWithTimeout(url, options = {}) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-      const fetchOption = {
-        ...options,
-        signal: controller.signal,
-      };
-
-      const response = await fetch(url, fetchOption);
-      clearTimeout(timeoutId);
-
-      // Throw error if the status is below 200 or above 300
-      if (response.status < 200 || response.status > 300) {
-        throw new Error("Something went wrong");
-      }
-
-      // return just the response for Delete and Post method
-      if (options.method === "DELETE" || options.method === "POST") {
-        return response;
-      }
-
-      const { data } = await response.json();
-      return data;
-    } catch (error) {
-      if (error.name === "AbortError") {
-        throw new Error("Error: Request took longer than 5 seconds");
-      }
-      throw error;
+  static get adapter() {
+    if (!this._adapter) {
+      this._adapter = createAdapter(config.storage);
     }
+
+    return this._adapter;
   }
 
   /**
-   * Retrieve active (non-archived) notes from the server
+   * Replaces the storage adapter, e.g. with a MemoryAdapter when running without a network
    *
-   * @returns { Promise<any> } - Array of active notes
-   * @throws { Error } - Throws timeout error or generic error message
+   * @param { Object } adapter - An object implementing the storage adapter methods
    */
-  static async getActiveNote() {
-    try {
-      return await this.fetchWithTimeout(`${BASE_URL}/notes`);
-    } catch (error) {
-      if (error.message.includes("Request took longer")) {
-        throw error;
-      }
-
-      throw new Error("Something is error");
-    }
+  static useAdapter(adapter) {
+    this._adapter = adapter;
+    // Cached lists came from the previous storage
+    this.clearCache();
   }
 
   /**
-   * Retrieve archived notes from the server
+   * Forgets the cached lists, e.g. when another user logged in
+   */
+  static clearCache() {
+    RequestCache.clear();
+  }
+
+  /**
+   * Whether notes can be edited, the Dicoding API has no route for it
    *
-   * @returns { Promise<any> } - Array of archived notes
-   * @throws { Error } - Throws timeout error or generic error message
+   * @returns { boolean }
    */
-  static async getArchiveNote() {
-    try {
-      return await this.fetchWithTimeout(`${BASE_URL}/notes/archived`);
-    } catch (error) {
-      if (error.message.includes("Request took longer")) {
-        throw error;
-      }
-
-      throw new Error("Something is error");
-    }
+  static canUpdate() {
+    return Boolean(this.adapter.canUpdate);
+  }
+
+  /**
+   * Invalidates the cached lists once a mutation settled, whether it succeeded or not,
+   * since a failed request may still have reached the server
+   *
+   * @param { Promise<*> } mutation - The running mutation
+   * @returns { Promise<*> } The mutation
+   */
+  static invalidateAfter(mutation) {
+    return mutation.finally(() => RequestCache.invalidate(LIST_KEYS));
+  }
+
+  /**
+   * Retrieve active (non-archived) notes, from the cache when they were fetched before
+   *
+   * @param { Object } [options]
+   * @param { number } [options.timeout] - Timeout in milliseconds
+   * @param { AbortSignal } [options.signal] - Stops waiting for the notes when aborted
+   * @param { Function } [options.onRevalidate] - Receives the fresh notes when they differ
+   * from the cached ones
+   * @returns { Promise<Object[]> } - Array of active notes
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError or
+   * InvalidResponseError
+   */
+  static getActiveNote(options = {}) {
+    const { timeout, ...cacheOptions } = options;
+
+    return RequestCache.get(
+      "notes",
+      (signal) => this.adapter.getActiveNote({ timeout, signal }),
+      cacheOptions,
+    );
+  }
+
+  /**
+   * Retrieve archived notes, from the cache when they were fetched before
+   *
+   * @param { Object } [options]
+   * @param { number } [options.timeout] - Timeout in milliseconds
+   * @param { AbortSignal } [options.signal] - Stops waiting for the notes when aborted
+   * @param { Function } [options.onRevalidate] - Receives the fresh notes when they differ
+   * from the cached ones
+   * @returns { Promise<Object[]> } - Array of archived notes
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError or
+   * InvalidResponseError
+   */
+  static getArchiveNote(options = {}) {
+    const { timeout, ...cacheOptions } = options;
+
+    return RequestCache.get(
+      "notes/archived",
+      (signal) => this.adapter.getArchiveNote({ timeout, signal }),
+      cacheOptions,
+    );
   }
 
   /**
    * Archive a specific note by ID
    *
    * @param { string|number } noteId - The ID of the note to archive
-   * @returns { Promise<Response> } - Fetch response object
-   * @throws { Error } - Throws timeout error or generic error message
+   * @param { Object } [options] - The `timeout` in milliseconds and an AbortSignal `signal`
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError or
+   * InvalidResponseError
    */
-  static async archiveNote(noteId) {
-    try {
-      return await this.fetchWithTimeout(`${BASE_URL}/notes/${noteId}/archive`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
-    } catch (error) {
-      if (error.message.includes("Request took longer")) {
-        throw error;
-      }
-
-      throw new Error("Something is error");
-    }
+  static archiveNote(noteId, options) {
+    return this.invalidateAfter(this.adapter.archiveNote(noteId, options));
   }
 
   /**
    * Unarchive a specific note by ID
    *
-   * @param { string|number } noteId - The ID of the note to archive
-   * @returns { Promise<Response> } - Fetch response object
-   * @throws { Error } - Throws timeout error or generic error message
+   * @param { string|number } noteId - The ID of the note to unarchive
+   * @param { Object } [options] - The `timeout` in milliseconds and an AbortSignal `signal`
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError or
+   * InvalidResponseError
    */
-  static async unarchiveNote(noteId) {
-    try {
-      return await this.fetchWithTimeout(`${BASE_URL}/notes/${noteId}/unarchive`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
-    } catch (error) {
-      if (error.message.includes("Request took longer")) {
-        throw error;
-      }
-
-      throw new Error("Something is error");
-    }
+  static unarchiveNote(noteId, options) {
+    return this.invalidateAfter(this.adapter.unarchiveNote(noteId, options));
   }
 
   /**
@@ -132,50 +143,44 @@ class NoteApi {
    *
    * @param { Object } note - The note object to create
    * @param { String } note.title - The title of the note
-   * @param { String } note.content - The content of the note
-   * @returns { Promise<Response> } - Fetch response object
-   * @throws { Error } - Throws timeout error or generic error message
+   * @param { String } note.body - The content of the note
+   * @param { Object } [options] - The `timeout` in milliseconds and an AbortSignal `signal`
+   * @returns { Promise<Object> } - The created note
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError or
+   * InvalidResponseError
    */
-  static async createNote(note) {
-    try {
-      return await this.fetchWithTimeout(`${BASE_URL}/notes`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(note),
-      });
-    } catch (error) {
-      if (error.message.includes("Request took longer")) {
-        throw error;
-      }
-
-      throw new Error("Something is error");
-    }
+  static createNote(note, options) {
+    return this.invalidateAfter(this.adapter.createNote(note, options));
+  }
+
+  /**
+   * Update the title and body of an existing note
+   * The note keeps its ID, creation date and archived state
+   *
+   * @param { Object } note - The note object to update
+   * @param { string|number } note.id - The ID of the note to update
+   * @param { String } note.title - The new title of the note
+   * @param { String } note.body - The new body of the note
+   * @param { Object } [options] - The `timeout` in milliseconds and an AbortSignal `signal`
+   * @returns { Promise<Object> } - The updated note
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError,
+   * InvalidResponseError, or UnsupportedError when the storage cannot edit notes
+   */
+  static updateNote(note, options) {
+    return this.invalidateAfter(this.adapter.updateNote(note, options));
   }
 
   /**
    * Delete specific note by ID
    *
-   * @param { string|number } noteId - The ID of the note to archive
-   * @returns { Promise<Response> } - Fetch response object
-   * @throws { Error } - Throws timeout error or generic error message
+   * @param { string|number } noteId - The ID of the note to delete
+   * @param { Object } [options] - The `timeout` in milliseconds and an AbortSignal `signal`
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - TimeoutError, AbortedError, NetworkError, HttpError or
+   * InvalidResponseError
    */
-  static async deleteNote(noteId) {
-    try {
-      return await this.fetchWithTimeout(`${BASE_URL}/notes/${noteId}`, {
-        method: "DELETE",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
-    } catch (error) {
-      if (error.message.includes("Request took longer")) {
-        throw error;
-      }
-
-      throw new Error("Something is error");
-    }
+  static deleteNote(noteId, options) {
+    return this.invalidateAfter(this.adapter.deleteNote(noteId, options));
   }
 }
 
@@ -0,0 +1,196 @@
+/**
+ * @class NoteMeta
+ * @description Persisted metadata of notes that the server has no field for, such as pins
+ * and colors.
+ * Entries are keyed by note ID and only kept in this browser, separately for every user when
+ * a login is required. Notes without metadata have no entry, so the store only grows with
+ * the notes that were actually changed.
+ */
+import Auth from "./auth.js";
+
+const STORAGE_KEY = "notes-app:note-meta";
+// Notes created offline get IDs with this prefix from the outbox until they are synced
+const PENDING_PREFIX = "pending-";
+
+class NoteMeta {
+  /**
+   * The localStorage key of the metadata, one per user when a login is required
+   *
+   * @returns { string }
+   */
+  static get storageKey() {
+    return Auth.storageKey(STORAGE_KEY);
+  }
+
+  /**
+   * Metadata by note ID, loaded from localStorage on first access
+   *
+   * @returns { Object<string, Object> }
+   */
+  static get entries() {
+    const storageKey = this.storageKey;
+
+    // Another user logged in since the entries were loaded
+    if (!this._entries || this._loadedKey !== storageKey) {
+      this._loadedKey = storageKey;
+      try {
+        this._entries = JSON.parse(localStorage.getItem(storageKey)) || {};
+      } catch (error) {
+        console.error(error);
+        this._entries = {};
+      }
+    }
+
+    return this._entries;
+  }
+
+  /**
+   * Writes the metadata to localStorage and notifies components that it changed
+   *
+   * @param { string } noteId - The note whose metadata changed
+   * @fires CustomEvent#note-meta-changed
+   */
+  static save(noteId) {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+
+    document.dispatchEvent(
+      new CustomEvent("note-meta-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { id: noteId },
+      }),
+    );
+  }
+
+  /**
+   * Reads the metadata of a note
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Object } A copy of the metadata, empty when the note has none
+   */
+  static get(noteId) {
+    return { ...this.entries[String(noteId)] };
+  }
+
+  /**
+   * Merges changes into the metadata of a note, dropping fields set to a falsy value
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { Object } changes - The fields to set, e.g. `{ pinned: true }`
+   */
+  static set(noteId, changes) {
+    const key = String(noteId);
+    const meta = { ...this.entries[key], ...changes };
+
+    Object.keys(meta).forEach((field) => {
+      if (!meta[field]) delete meta[field];
+    });
+
+    if (Object.keys(meta).length > 0) {
+      this.entries[key] = meta;
+    } else {
+      delete this.entries[key];
+    }
+
+    this.save(key);
+  }
+
+  /**
+   * Removes the metadata of a note, e.g. once it is deleted
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Object } The removed metadata, empty when the note had none
+   */
+  static remove(noteId) {
+    const key = String(noteId);
+    const meta = this.get(key);
+    if (!this.entries[key]) return meta;
+
+    delete this.entries[key];
+    this.save(key);
+    return meta;
+  }
+
+  /**
+   * Drops the metadata of notes that no longer exist, e.g. deleted in another browser
+   * Notes created offline are kept, the server does not list them yet.
+   *
+   * @param { (string|number)[] } noteIds - The IDs of every note, active and archived
+   */
+  static prune(noteIds) {
+    const known = new Set(noteIds.map(String));
+    const stale = Object.keys(this.entries).filter(
+      (key) => !known.has(key) && !key.startsWith(PENDING_PREFIX),
+    );
+    if (stale.length === 0) return;
+
+    stale.forEach((key) => delete this.entries[key]);
+    localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+  }
+
+  /**
+   * Moves metadata to another ID, e.g. when a note created offline gets its server ID
+   *
+   * @param { string|number } fromId - The old note ID
+   * @param { string|number } toId - The new note ID
+   */
+  static move(fromId, toId) {
+    const meta = this.remove(fromId);
+    if (Object.keys(meta).length > 0) this.set(toId, meta);
+  }
+
+  /**
+   * Checks whether a note is pinned
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { boolean }
+   */
+  static isPinned(noteId) {
+    return Boolean(this.get(noteId).pinned);
+  }
+
+  /**
+   * Pins or unpins a note
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { boolean } pinned - Whether the note should be pinned
+   */
+  static setPinned(noteId, pinned) {
+    this.set(noteId, { pinned });
+  }
+
+  /**
+   * Reads the color of a note
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { string } The color name from HelperColor's palette, empty when the note has none
+   */
+  static getColor(noteId) {
+    return this.get(noteId).color || "";
+  }
+
+  /**
+   * Sets or clears the color of a note
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { string } color - The color name, empty to clear it
+   */
+  static setColor(noteId, color) {
+    this.set(noteId, { color });
+  }
+
+  /**
+   * Moves the pinned notes to the front, keeping the order within both groups
+   *
+   * @param { Object[] } notes - The notes in display order
+   * @returns { Object[] } A new array with the pinned notes first
+   */
+  static pinnedFirst(notes) {
+    return [
+      ...notes.filter((note) => this.isPinned(note.id)),
+      ...notes.filter((note) => !this.isPinned(note.id)),
+    ];
+  }
+}
+
+export default NoteMeta;
@@ -0,0 +1,469 @@
+/**
+ * @class NoteStore
+ * @description Single source of the note collections shown by the application.
+ * Holds the active and archived notes as fetched from the server, loads each list once and
+ * applies mutations to the collections itself, so the views update without refetching.
+ * Mutations change the collections before the server answers and are rolled back when it
+ * refuses them, notes waiting for the server carry `saving: true`.
+ * Components read the state with `select` and re-render through `subscribe`.
+ * The state is replaced, never changed in place, so a changed list is a new array.
+ *
+ * @example
+ * const unsubscribe = NoteStore.subscribe((notes) => render(notes), (state) => state.active);
+ * await NoteStore.load("active");
+ */
+import NoteApi from "./noteApi.js";
+import NoteMeta from "./noteMeta.js";
+import HelperToast from "../helper/helperToast.js";
+
+const SAVING_PREFIX = "saving-";
+
+const FETCHERS = {
+  active: (options) => NoteApi.getActiveNote(options),
+  archived: (options) => NoteApi.getArchiveNote(options),
+};
+
+// IDs come from the server or from attributes, so they are compared as strings
+const hasId = (noteId) => (note) => String(note.id) === String(noteId);
+
+class NoteStore {
+  /**
+   * The current state, a list is null until it was loaded
+   *
+   * @returns { { active: Object[]|null, archived: Object[]|null } }
+   */
+  static get state() {
+    if (!this._state) {
+      this._state = { active: null, archived: null };
+    }
+
+    return this._state;
+  }
+
+  /**
+   * Reads from the current state
+   *
+   * @param { Function } selector - Receives the state and returns the part needed
+   * @returns { * } What the selector returned
+   */
+  static select(selector) {
+    return selector(this.state);
+  }
+
+  /**
+   * Calls the listener whenever the selected part of the state changes
+   *
+   * @param { Function } listener - Receives the selected value and the whole state
+   * @param { Function } [selector] - Picks the part to watch, the whole state by default
+   * @returns { Function } Removes the subscription again
+   */
+  static subscribe(listener, selector = (state) => state) {
+    if (!this._subscriptions) {
+      this._subscriptions = new Set();
+    }
+
+    const subscription = { listener, selector, value: selector(this.state) };
+    this._subscriptions.add(subscription);
+
+    return () => this._subscriptions.delete(subscription);
+  }
+
+  /**
+   * Replaces parts of the state and notifies the subscribers whose selection changed
+   *
+   * @param { Object } changes - The new values, e.g. `{ active: [...] }`
+   */
+  static setState(changes) {
+    this._state = { ...this.state, ...changes };
+
+    [...(this._subscriptions || [])].forEach((subscription) => {
+      const value = subscription.selector(this._state);
+      if (Object.is(value, subscription.value)) return;
+
+      subscription.value = value;
+      subscription.listener(value, this._state);
+    });
+  }
+
+  /**
+   * Fetches a list, concurrent calls for the same list share the request in NoteApi
+   * A list NoteApi had cached arrives at once, and is replaced when the revalidated list
+   * differs, unless a mutation started since, as the fresh list may predate it.
+   * A list that arrives after a mutation started is fetched again once the running mutations
+   * are done, so it never drops their changes. A list loaded for the first time is shown
+   * meanwhile.
+   *
+   * @param { "active"|"archived" } list - The list to fetch
+   * @param { Object } [options] - The `timeout` and `signal` passed on to NoteApi
+   * @returns { Promise<Object[]> } The fetched notes
+   * @throws { NoteApiError } - When the notes cannot be loaded or the signal aborted
+   */
+  static async fetch(list, options = {}) {
+    const resets = this._resets || 0;
+    const request = (mutations) =>
+      FETCHERS[list]({
+        ...options,
+        onRevalidate: (notes) => {
+          if ((this._mutations || 0) === mutations) this.setState({ [list]: notes });
+        },
+      });
+
+    let mutations = this._mutations || 0;
+    let notes = await request(mutations);
+
+    while ((this._mutations || 0) !== mutations && (this._resets || 0) === resets) {
+      if (!this.state[list]) this.setState({ [list]: notes });
+
+      mutations = this._mutations || 0;
+      await this.settled();
+      notes = await request(mutations);
+    }
+
+    // Notes requested before a reset belong to the previous user
+    if ((this._resets || 0) === resets) this.setState({ [list]: notes });
+    return notes;
+  }
+
+  /**
+   * Waits for the mutations that are running
+   *
+   * @returns { Promise<void> } Resolves once every one of them succeeded or failed
+   */
+  static async settled() {
+    await Promise.allSettled([...(this._running || [])]);
+  }
+
+  /**
+   * Makes sure a list is loaded, fetching it only the first time
+   *
+   * @param { "active"|"archived" } list - The list to load
+   * @param { Object } [options] - The `timeout` and `signal` passed on to NoteApi
+   * @returns { Promise<Object[]> } The notes of the list
+   * @throws { NoteApiError } - When the notes cannot be loaded or the signal aborted
+   */
+  static load(list, options) {
+    const notes = this.state[list];
+    return notes ? Promise.resolve(notes) : this.fetch(list, options);
+  }
+
+  /**
+   * Loads both lists
+   * With every note known, the metadata of notes that are gone is dropped.
+   *
+   * @param { Object } [options] - The `timeout` and `signal` passed on to NoteApi
+   * @returns { Promise<{ active: Object[], archived: Object[] }> }
+   * @throws { NoteApiError } - When the notes cannot be loaded or the signal aborted
+   */
+  static async loadAll(options) {
+    const [active, archived] = await Promise.all([
+      this.load("active", options),
+      this.load("archived", options),
+    ]);
+
+    this.pruneMeta();
+    return { active, archived };
+  }
+
+  /**
+   * Drops the metadata of notes in neither list
+   * The current state is used, as it also holds the notes created while the lists loaded,
+   * and nothing is dropped while a list is not loaded, e.g. after a logout.
+   */
+  static pruneMeta() {
+    const { active, archived } = this.state;
+    if (!active || !archived) return;
+
+    NoteMeta.prune([...active, ...archived].map((note) => note.id));
+  }
+
+  /**
+   * Fetches both lists again, e.g. after the outbox was replayed
+   *
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - When the notes cannot be loaded
+   */
+  static async refresh() {
+    await Promise.all([this.fetch("active"), this.fetch("archived")]);
+  }
+
+  /**
+   * Forgets both lists and the cached responses, e.g. when the user logs in or out
+   * It also counts as a mutation, so no list revalidated before it is applied.
+   */
+  static reset() {
+    this._resets = (this._resets || 0) + 1;
+    this._mutations = (this._mutations || 0) + 1;
+    NoteApi.clearCache();
+    this.setState({ active: null, archived: null });
+  }
+
+  /**
+   * Finds a loaded note
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Object|undefined }
+   */
+  static find(noteId) {
+    const { active, archived } = this.state;
+    return [...(active || []), ...(archived || [])].find(hasId(noteId));
+  }
+
+  /**
+   * Finds where a note is listed
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { { list: string, index: number, note: Object }|null } Null when it is not loaded
+   */
+  static snapshot(noteId) {
+    for (const list of Object.keys(FETCHERS)) {
+      const index = (this.state[list] || []).findIndex(hasId(noteId));
+      if (index !== -1) return { list, index, note: this.state[list][index] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Puts a note back where a snapshot found it, or removes it when it was not listed then
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { Object|null } snapshot - Taken with `snapshot` before the note changed
+   */
+  static restore(noteId, snapshot) {
+    const without = (notes) => notes && notes.filter((note) => !hasId(noteId)(note));
+    const { active, archived } = this.state;
+    const changes = { active: without(active), archived: without(archived) };
+
+    if (snapshot && changes[snapshot.list]) {
+      const notes = [...changes[snapshot.list]];
+      notes.splice(snapshot.index, 0, snapshot.note);
+      changes[snapshot.list] = notes;
+    }
+
+    this.setState(changes);
+  }
+
+  /**
+   * Replaces a note in whichever list holds it
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { Function } update - Receives the note and returns the new one
+   */
+  static replace(noteId, update) {
+    if (!this.find(noteId)) return;
+
+    const replace = (notes) =>
+      notes && notes.map((note) => (hasId(noteId)(note) ? update(note) : note));
+    const { active, archived } = this.state;
+
+    this.setState({ active: replace(active), archived: replace(archived) });
+  }
+
+  /**
+   * Takes the server response for a note that was saving and clears its saving state
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { Object } [changes] - Fields returned by the server
+   */
+  static settle(noteId, changes = {}) {
+    this.replace(noteId, (note) => {
+      const settled = { ...note, ...changes };
+      delete settled.saving;
+      return settled;
+    });
+  }
+
+  /**
+   * Runs a mutation on a note. The change is applied to the collections right away, with
+   * the note marked as `saving`, reconciled with the server response on success and rolled
+   * back on failure. When the server no longer knows the note it is dropped from the
+   * collections, so its stale card disappears. Errors are passed on either way.
+   *
+   * @param { string|number } noteId - The note the mutation applies to
+   * @param { Function } request - Sends the mutation to the server
+   * @param { Object } [handlers]
+   * @param { Function } [handlers.apply] - Applies the expected outcome to the collections
+   * @param { Function } [handlers.reconcile] - Receives the server response once it succeeded
+   * @returns { Promise<*> } What the request resolved with
+   * @throws { NoteApiError } - When the mutation fails
+   */
+  static async mutate(noteId, request, { apply, reconcile } = {}) {
+    const snapshot = this.snapshot(noteId);
+    this._mutations = (this._mutations || 0) + 1;
+    if (apply) apply();
+
+    if (!this._running) {
+      this._running = new Set();
+    }
+
+    const running = request();
+    this._running.add(running);
+
+    try {
+      const result = await running;
+      if (reconcile) reconcile(result);
+      return result;
+    } catch (error) {
+      if (apply) this.restore(noteId, snapshot);
+      if (error.code === "not-found") this.forget(noteId);
+      throw error;
+    } finally {
+      this._running.delete(running);
+    }
+  }
+
+  /**
+   * Removes a note from both collections
+   *
+   * @param { string|number } noteId - The note ID
+   */
+  static forget(noteId) {
+    const without = (notes) => notes && notes.filter((note) => !hasId(noteId)(note));
+    const { active, archived } = this.state;
+
+    if (this.find(noteId)) {
+      this.setState({ active: without(active), archived: without(archived) });
+    }
+  }
+
+  /**
+   * Moves a loaded note to the other list, marked as saving
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { boolean } archived - Whether the note is archived now
+   */
+  static move(noteId, archived) {
+    const note = this.find(noteId);
+    const { active, archived: archivedNotes } = this.state;
+    const movedNote = { ...note, archived, saving: true };
+    const without = (notes) => notes && notes.filter((listNote) => !hasId(noteId)(listNote));
+    const withNote = (notes) => notes && [...without(notes), movedNote];
+
+    this.setState({
+      active: archived ? without(active) : withNote(active),
+      archived: archived ? withNote(archivedNotes) : without(archivedNotes),
+    });
+  }
+
+  /**
+   * Archives or unarchives a note, moving it to the other list while the request runs
+   * A note that is not loaded yet makes both lists refetch afterwards, since its data is unknown,
+   * a failed refetch is reported with a toast.
+   *
+   * @param { string|number } noteId - The note ID
+   * @param { boolean } archived - Whether the note gets archived
+   * @param { Function } request - Sends the change to the server
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - When the change fails
+   */
+  static async setArchived(noteId, archived, request) {
+    if (!this.find(noteId)) {
+      await this.mutate(noteId, request);
+      // The change was stored, only the lists are out of date
+      this.refresh().catch((error) => {
+        HelperToast.error(`Could not load notes: ${error.message}`);
+      });
+      return;
+    }
+
+    await this.mutate(noteId, request, {
+      apply: () => this.move(noteId, archived),
+      reconcile: () => this.settle(noteId),
+    });
+  }
+
+  /**
+   * Creates a note, listed in the active notes with a temporary ID until the server answers
+   *
+   * @param { Object } note - The note with title and body
+   * @returns { Promise<Object> } The created note
+   * @throws { NoteApiError } - When the note cannot be created
+   */
+  static async createNote(note) {
+    const savingId = `${SAVING_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+    return this.mutate(savingId, () => NoteApi.createNote(note), {
+      apply: () => {
+        const { active } = this.state;
+        if (!active) return;
+
+        const savingNote = {
+          id: savingId,
+          title: note.title,
+          body: note.body,
+          createdAt: new Date().toISOString(),
+          archived: false,
+          saving: true,
+        };
+        this.setState({ active: [...active, savingNote] });
+      },
+      reconcile: (created) => {
+        const { active } = this.state;
+
+        if (this.find(savingId)) {
+          this.settle(savingId, created);
+        } else if (active && !this.find(created.id)) {
+          // The list was fetched while the note was saving and may not have it yet
+          this.setState({ active: [...active, created] });
+        }
+      },
+    });
+  }
+
+  /**
+   * Updates a note in whichever list holds it
+   *
+   * @param { Object } note - The note with id, title and body
+   * @returns { Promise<Object> } The updated note
+   * @throws { NoteApiError } - When the note cannot be updated
+   */
+  static async updateNote(note) {
+    return this.mutate(note.id, () => NoteApi.updateNote(note), {
+      apply: () =>
+        this.replace(note.id, (listNote) => ({
+          ...listNote,
+          title: note.title,
+          body: note.body,
+          saving: true,
+        })),
+      reconcile: (updated) => this.settle(note.id, updated),
+    });
+  }
+
+  /**
+   * Archives a note and moves it to the archived notes
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - When the note cannot be archived
+   */
+  static async archiveNote(noteId) {
+    await this.setArchived(noteId, true, () => NoteApi.archiveNote(noteId));
+  }
+
+  /**
+   * Unarchives a note and moves it to the active notes
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - When the note cannot be unarchived
+   */
+  static async unarchiveNote(noteId) {
+    await this.setArchived(noteId, false, () => NoteApi.unarchiveNote(noteId));
+  }
+
+  /**
+   * Deletes a note, removing it from the collections while the request runs
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Promise<void> }
+   * @throws { NoteApiError } - When the note cannot be deleted
+   */
+  static async deleteNote(noteId) {
+    await this.mutate(noteId, () => NoteApi.deleteNote(noteId), {
+      apply: () => this.forget(noteId),
+    });
+  }
+}
+
+export default NoteStore;
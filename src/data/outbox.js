@@ -0,0 +1,412 @@
+/**
+ * @class Outbox
+ * @description Persisted queue of note mutations that could not reach the server.
+ * Entries are replayed in the order they were queued once connectivity returns.
+ * When a login is required every user has their own queue, replayed only into their account.
+ * Notes created while offline get a temporary "pending-" ID that is swapped for the
+ * server ID when the create is replayed.
+ * A create is not idempotent: after a timeout or a server error it may have been stored
+ * anyway, so it is only queued when the request never left, and a replayed create that
+ * may have arrived is looked up on the server before it is sent again.
+ */
+import Auth from "./auth.js";
+import NoteApi from "./noteApi.js";
+import NoteMeta from "./noteMeta.js";
+import NoteStore from "./noteStore.js";
+import { NetworkError, isConnectivityError } from "./errors.js";
+
+const STORAGE_KEY = "notes-app:outbox";
+const PENDING_PREFIX = "pending-";
+const MUTATIONS = ["createNote", "updateNote", "archiveNote", "unarchiveNote", "deleteNote"];
+
+class Outbox {
+  /**
+   * The localStorage key of the queue, one per user when a login is required
+   *
+   * @returns { string }
+   */
+  static get storageKey() {
+    return Auth.storageKey(STORAGE_KEY);
+  }
+
+  /**
+   * Queued entries, loaded from localStorage on first access
+   *
+   * @returns { Object[] } The queued entries in replay order
+   */
+  static get entries() {
+    const storageKey = this.storageKey;
+
+    // Another user logged in since the entries were loaded
+    if (!this._entries || this._loadedKey !== storageKey) {
+      this._loadedKey = storageKey;
+      this._entries = this.read(storageKey);
+    }
+
+    return this._entries;
+  }
+
+  /**
+   * Reads a stored queue
+   *
+   * @param { string } storageKey - The localStorage key of the queue
+   * @returns { Object[] } The entries, empty when there are none or they cannot be read
+   */
+  static read(storageKey) {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || [];
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }
+
+  /**
+   * The queue stored under a key, the loaded entries when it belongs to the current user
+   *
+   * @param { string } storageKey - The localStorage key of the queue
+   * @returns { Object[] } The entries
+   */
+  static queueOf(storageKey) {
+    return storageKey === this.storageKey ? this.entries : this.read(storageKey);
+  }
+
+  /**
+   * Stores the queue under a key without touching the queue of another user
+   *
+   * @param { string } storageKey - The localStorage key of the queue
+   * @param { Object[] } entries - The entries to store
+   */
+  static store(storageKey, entries) {
+    if (storageKey === this.storageKey) this._entries = entries;
+    localStorage.setItem(storageKey, JSON.stringify(entries));
+  }
+
+  /**
+   * Checks whether two entries are the same mutation, also when one was read from localStorage
+   * again, e.g. after the user logged out and in
+   *
+   * @param { Object } entry - A queued entry
+   * @param { Object } other - Another queued entry
+   * @returns { boolean }
+   */
+  static isSameEntry(entry, other) {
+    return (
+      entry === other ||
+      (entry.method === other.method &&
+        entry.queuedAt === other.queuedAt &&
+        entry.noteId === other.noteId)
+    );
+  }
+
+  /**
+   * Number of mutations waiting to be synced
+   *
+   * @returns { number }
+   */
+  static get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Writes the queue to localStorage and notifies components that it changed
+   *
+   * @fires CustomEvent#outbox-changed
+   */
+  static save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+
+    document.dispatchEvent(
+      new CustomEvent("outbox-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { size: this.size },
+      }),
+    );
+  }
+
+  /**
+   * Checks whether an ID belongs to a note that only exists in the outbox
+   *
+   * @param { string|number } noteId - The note ID to check
+   * @returns { boolean }
+   */
+  static isPendingId(noteId) {
+    return String(noteId).startsWith(PENDING_PREFIX);
+  }
+
+  /**
+   * Checks whether an error means the server could not be reached, so the mutation
+   * should be kept and retried instead of being reported as failed
+   *
+   * @param { Error } error - The error thrown by NoteApi
+   * @returns { boolean }
+   */
+  static isConnectivityError(error) {
+    return !navigator.onLine || isConnectivityError(error);
+  }
+
+  /**
+   * Checks whether a failed mutation can be queued without risking to apply it twice
+   * Archives, unarchives, deletes and edits give the same result when repeated, a create
+   * that timed out or got a server error may have created the note already.
+   *
+   * @param { Error } error - The error thrown by NoteApi
+   * @param { Function } operation - The NoteApi or NoteStore mutation that failed
+   * @returns { boolean }
+   */
+  static canQueue(error, operation) {
+    if (this.methodName(operation) === "createNote") {
+      return !navigator.onLine || error instanceof NetworkError;
+    }
+
+    return this.isConnectivityError(error);
+  }
+
+  /**
+   * Finds a note the server created for a queued create whose replay may have arrived
+   * The active notes are read past the cache, a cached list predates the attempt.
+   *
+   * @param { Object } entry - The queued create
+   * @returns { Promise<Object|undefined> } The created note, undefined when it was not stored
+   * @throws { NoteApiError } - When the notes cannot be loaded
+   */
+  static async findCreated(entry) {
+    const notes = await NoteApi.adapter.getActiveNote();
+
+    return notes.find(
+      (note) =>
+        note.title === entry.data.title &&
+        note.body === entry.data.body &&
+        new Date(note.createdAt) >= new Date(entry.queuedAt),
+    );
+  }
+
+  /**
+   * Finds the method name of a mutation, the same for NoteApi and NoteStore
+   *
+   * @param { Function } operation - One of the NoteApi or NoteStore mutation methods
+   * @returns { string } The method name
+   * @throws { Error } - Throws when the operation is not a queueable mutation
+   */
+  static methodName(operation) {
+    const method = MUTATIONS.find(
+      (name) => NoteApi[name] === operation || NoteStore[name] === operation,
+    );
+
+    if (!method) {
+      throw new Error("Only note mutations can be queued");
+    }
+
+    return method;
+  }
+
+  /**
+   * Adds a failed mutation to the end of the queue
+   *
+   * @param { Function } operation - The NoteApi or NoteStore mutation that failed
+   * @param { Object|string|number } noteData - Note object or ID depending on operation
+   * @param { Object } [note] - Snapshot of the affected note, used to display it while pending
+   * @returns { Object|undefined } The note snapshot queued with the mutation
+   */
+  static enqueue(operation, noteData, note) {
+    const method = this.methodName(operation);
+    const entry = { method, data: noteData, queuedAt: new Date().toISOString() };
+
+    if (method === "createNote") {
+      entry.noteId = `${PENDING_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      entry.note = {
+        id: entry.noteId,
+        title: noteData.title,
+        body: noteData.body,
+        createdAt: entry.queuedAt,
+        archived: false,
+      };
+    } else {
+      entry.noteId = typeof noteData === "object" ? noteData.id : noteData;
+      entry.note = note || this.findNote(entry.noteId);
+    }
+
+    // Deleting a note that was never synced just drops everything queued for it
+    if (method === "deleteNote" && this.isPendingId(entry.noteId)) {
+      const create = this.entries.find((queued) => queued.noteId === entry.noteId);
+
+      if (create && create !== this._inFlight) {
+        this._entries = this.entries.filter((queued) => queued.noteId !== entry.noteId);
+        this.save();
+        return entry.note;
+      }
+    }
+
+    this.entries.push(entry);
+    this.save();
+    return entry.note;
+  }
+
+  /**
+   * Finds the latest snapshot queued for a note
+   *
+   * @param { string|number } noteId - The note ID
+   * @returns { Object|undefined } The note snapshot, if any entry has one
+   */
+  static findNote(noteId) {
+    const entry = [...this.entries]
+      .reverse()
+      .find((queued) => queued.noteId === noteId && queued.note);
+    return entry ? entry.note : undefined;
+  }
+
+  /**
+   * Applies the queued mutations on top of a list fetched from the server,
+   * marking every affected note as pending
+   *
+   * @param { Object[] } notes - Notes as returned by NoteApi
+   * @param { boolean } archived - Whether the list holds archived notes
+   * @returns { Object[] } A new array with the pending changes applied
+   */
+  static applyTo(notes, archived) {
+    let result = notes.map((note) => ({ ...note }));
+
+    this.entries.forEach((entry) => {
+      switch (entry.method) {
+        case "createNote":
+          if (!archived) {
+            result.push({ ...entry.note, pending: true });
+          }
+          break;
+        case "updateNote":
+          result = result.map((note) =>
+            note.id === entry.noteId
+              ? { ...note, title: entry.data.title, body: entry.data.body, pending: true }
+              : note,
+          );
+          break;
+        case "deleteNote":
+          result = result.filter((note) => note.id !== entry.noteId);
+          break;
+        case "archiveNote":
+        case "unarchiveNote": {
+          const movedNote = result.find((note) => note.id === entry.noteId) || entry.note;
+          result = result.filter((note) => note.id !== entry.noteId);
+
+          if ((entry.method === "archiveNote") === archived && movedNote) {
+            result.push({ ...movedNote, archived, pending: true });
+          }
+          break;
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Replays the queue in order. Stops at the first connectivity error and keeps the
+   * remaining entries. Mutations on notes that no longer exist on the server are
+   * dropped and reported as conflicts.
+   * Concurrent calls share the same replay. Callers refetch the note lists afterwards,
+   * since synced notes now come from the server.
+   *
+   * @returns { Promise<{ synced: number, conflicts: string[], failed: string[] }> } Replay report
+   */
+  static replay() {
+    if (!this._replaying) {
+      this._replaying = this.runReplay().finally(() => {
+        this._replaying = null;
+      });
+    }
+
+    return this._replaying;
+  }
+
+  /**
+   * Sends queued entries one by one, see `replay`
+   *
+   * @returns { Promise<{ synced: number, conflicts: string[], failed: string[] }> } Replay report
+   */
+  static async runReplay() {
+    const report = { synced: 0, conflicts: [], failed: [] };
+    // Results are written to the queue of the user the replay started for, even after a logout
+    const storageKey = this.storageKey;
+
+    // A logout stops the replay, the rest of the queue waits for the same user
+    while (this.size > 0 && this.storageKey === storageKey) {
+      const entry = this.entries[0];
+      const title = entry.note ? `"${entry.note.title}"` : "A note";
+      let dropDependents = false;
+      let createdId;
+
+      try {
+        this._inFlight = entry;
+        const created = entry.maybeSent ? await this.findCreated(entry) : undefined;
+        const result = created || (await NoteApi[entry.method](entry.data));
+
+        if (entry.method === "createNote") {
+          createdId = result.id;
+        }
+
+        report.synced += 1;
+      } catch (error) {
+        // Kept until the server is reachable, or the same user logged in again
+        if (this.isConnectivityError(error) || error.code === "unauthorized") {
+          if (entry.method === "createNote" && !(error instanceof NetworkError)) {
+            const queue = this.queueOf(storageKey);
+            queue
+              .filter((queued) => this.isSameEntry(queued, entry))
+              .forEach((queued) => {
+                queued.maybeSent = true;
+              });
+            this.store(storageKey, queue);
+          }
+          break;
+        }
+
+        if (error.status === 404 && entry.method === "deleteNote") {
+          // Already gone on the server, which is what the user wanted
+          report.synced += 1;
+        } else if (error.status === 404) {
+          report.conflicts.push(`${title} was deleted on the server, the change was discarded`);
+        } else {
+          report.failed.push(`${title} could not be synced: ${error.message}`);
+          // Later changes to a note the server refused to create have nothing to apply to
+          dropDependents = entry.method === "createNote";
+        }
+      } finally {
+        this._inFlight = null;
+      }
+
+      const remaining = this.queueOf(storageKey).filter(
+        (queued) =>
+          !this.isSameEntry(queued, entry) && !(dropDependents && queued.noteId === entry.noteId),
+      );
+
+      if (createdId !== undefined) {
+        this.replaceId(remaining, entry.noteId, createdId);
+        // The metadata belongs to the logged in user, another user has none for the note
+        if (this.storageKey === storageKey) NoteMeta.move(entry.noteId, createdId);
+      }
+
+      this.store(storageKey, remaining);
+    }
+
+    return report;
+  }
+
+  /**
+   * Points the remaining entries of a note created offline at its new server ID
+   *
+   * @param { Object[] } entries - The entries to update
+   * @param { string } pendingId - The temporary ID given when the create was queued
+   * @param { string } noteId - The ID issued by the server
+   */
+  static replaceId(entries, pendingId, noteId) {
+    entries.forEach((entry) => {
+      if (entry.noteId !== pendingId) return;
+
+      entry.noteId = noteId;
+      entry.data = typeof entry.data === "object" ? { ...entry.data, id: noteId } : noteId;
+    });
+  }
+}
+
+export default Outbox;
@@ -0,0 +1,193 @@
+/**
+ * @class RequestCache
+ * @description Persisted cache of read requests with stale-while-revalidate semantics.
+ * A cached response is returned right away while the request runs again in the background,
+ * and whoever asked is told when the fresh response differs. Concurrent reads of the same
+ * key share one request. After an invalidation the next read waits for the server, so a
+ * mutation is never followed by data from before it. Invalidations last for the session:
+ * after a reload the cached responses are served again while they revalidate.
+ * A caller can stop waiting with an AbortSignal, the shared request itself is only aborted
+ * once every caller waiting for it has.
+ *
+ * @example
+ * const notes = await RequestCache.get("notes", () => adapter.getActiveNote(), {
+ *   onRevalidate: (freshNotes) => render(freshNotes),
+ * });
+ */
+import { AbortedError } from "./errors.js";
+
+const STORAGE_KEY = "notes-app:request-cache";
+
+class RequestCache {
+  /**
+   * Cached responses by key, loaded from localStorage on first access
+   *
+   * @returns { Object<string, { data: *, storedAt: string }> }
+   */
+  static get entries() {
+    if (!this._entries) {
+      try {
+        this._entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      } catch (error) {
+        console.error(error);
+        this._entries = {};
+      }
+    }
+
+    return this._entries;
+  }
+
+  /**
+   * Writes the cached responses to localStorage
+   */
+  static save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+    } catch (error) {
+      // A full storage only costs the cache, the responses are still returned
+      console.error(error);
+    }
+  }
+
+  /**
+   * Reads through the cache
+   * With a cached response that response is returned and the request runs in the background,
+   * `onRevalidate` receives its result when it differs. Without one, or after the key was
+   * invalidated, the request is awaited.
+   *
+   * @param { string } key - Identifies the request, e.g. "notes/archived"
+   * @param { Function } request - Receives an AbortSignal, runs the request and resolves with
+   * its data
+   * @param { Object } [options]
+   * @param { AbortSignal } [options.signal] - Stops waiting for the request, and the
+   * revalidation, when aborted
+   * @param { Function } [options.onRevalidate] - Receives fresh data that replaced a cached response
+   * @returns { Promise<*> } The cached or fetched data
+   * @throws { NoteApiError } - When there is nothing cached and the request fails or is aborted
+   */
+  static get(key, request, { signal, onRevalidate } = {}) {
+    const entry = this.entries[key];
+
+    if (!entry || (this._invalidated && this._invalidated.has(key))) {
+      return this.revalidate(key, request, signal);
+    }
+
+    this.revalidate(key, request, signal)
+      .then((data) => {
+        if (onRevalidate && JSON.stringify(data) !== JSON.stringify(entry.data)) {
+          onRevalidate(data);
+        }
+      })
+      .catch((error) => {
+        // The cached response stays in use, the next read tries again
+        if (error.code !== "aborted") console.error(error);
+      });
+
+    return Promise.resolve(entry.data);
+  }
+
+  /**
+   * Runs a request and caches its data, reads of the same key share a running request
+   *
+   * @param { string } key - Identifies the request
+   * @param { Function } request - Receives an AbortSignal, runs the request and resolves with
+   * its data
+   * @param { AbortSignal } [signal] - Stops waiting for the request when aborted
+   * @returns { Promise<*> } The fetched data
+   * @throws { NoteApiError } - When the request fails or is aborted
+   */
+  static revalidate(key, request, signal) {
+    // Nobody would wait for the request, and its failure would go unhandled
+    if (signal && signal.aborted) return Promise.reject(new AbortedError());
+
+    if (!this._requests) {
+      this._requests = {};
+    }
+
+    // A request every caller gave up on is not shared with new ones
+    if (!this._requests[key] || this._requests[key].controller.signal.aborted) {
+      const controller = new AbortController();
+      const shared = { controller, waiting: 0 };
+
+      shared.promise = request(controller.signal)
+        .then((data) => {
+          // Data from before an invalidation is not cached over what came after it
+          if (this._requests[key] === shared) {
+            this.entries[key] = { data, storedAt: new Date().toISOString() };
+            this.save();
+            if (this._invalidated) this._invalidated.delete(key);
+          }
+
+          return data;
+        })
+        .finally(() => {
+          if (this._requests[key] === shared) {
+            this._requests[key] = null;
+          }
+        });
+
+      this._requests[key] = shared;
+    }
+
+    return this.follow(this._requests[key], signal);
+  }
+
+  /**
+   * Waits for a shared request until the caller aborts
+   * The request is aborted when the last caller waiting for it gives up, a caller without
+   * a signal keeps it running.
+   *
+   * @param { { promise: Promise<*>, controller: AbortController, waiting: number } } shared
+   * @param { AbortSignal } [signal] - Stops waiting when aborted
+   * @returns { Promise<*> } The data of the request
+   * @throws { NoteApiError } - When the request fails or the caller aborted
+   */
+  static follow(shared, signal) {
+    shared.waiting += 1;
+
+    if (!signal) return shared.promise;
+
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        shared.waiting -= 1;
+        if (shared.waiting === 0) shared.controller.abort();
+        reject(new AbortedError());
+      };
+
+      signal.addEventListener("abort", abort, { once: true });
+      shared.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener("abort", abort);
+      });
+    });
+  }
+
+  /**
+   * Marks cached responses as outdated, e.g. after a mutation
+   * The next read of these keys asks the server again and waits for it, requests that were
+   * already running are not shared with it.
+   *
+   * @param { string[] } keys - The keys to invalidate
+   */
+  static invalidate(keys) {
+    if (!this._invalidated) {
+      this._invalidated = new Set();
+    }
+
+    keys.forEach((key) => {
+      this._invalidated.add(key);
+      if (this._requests) this._requests[key] = null;
+    });
+  }
+
+  /**
+   * Removes every cached response, e.g. when another storage is used
+   */
+  static clear() {
+    this._entries = {};
+    this._requests = {};
+    this._invalidated = new Set();
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+export default RequestCache;
@@ -0,0 +1,275 @@
+/**
+ * @class HelperBackup
+ * @description Utility class for exporting notes to files and reading them back.
+ * Notes are exported as one JSON file, or as a zip of Markdown files whose front-matter
+ * holds the title, creation date and archived state. Imports accept both formats, plus
+ * single Markdown files, and turn every note found into an import item.
+ */
+import HelperZip from "./helperZip.js";
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[^\S\r\n]*(?:\r?\n|$)/;
+
+class HelperBackup {
+  /**
+   * Keeps the exported fields of a note
+   *
+   * @param { Object } note - The note
+   * @returns { { title: string, body: string, createdAt: string, archived: boolean } }
+   */
+  static pick(note) {
+    return {
+      title: note.title,
+      body: note.body,
+      createdAt: note.createdAt,
+      archived: Boolean(note.archived),
+    };
+  }
+
+  /**
+   * Builds the name of an export file, e.g. `notes-2024-05-01.json`
+   *
+   * @param { string } extension - The file extension without the dot
+   * @returns { string }
+   */
+  static getFileName(extension) {
+    return `notes-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  /**
+   * Exports notes as a JSON file
+   *
+   * @param { Object[] } notes - Active and archived notes
+   * @returns { Blob }
+   */
+  static toJson(notes) {
+    const data = {
+      exportedAt: new Date().toISOString(),
+      notes: notes.map((note) => this.pick(note)),
+    };
+    return new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  }
+
+  /**
+   * Writes a note as Markdown with front-matter
+   * The title is quoted as a JSON string, which is also valid YAML, so any character is kept.
+   *
+   * @param { Object } note - The note
+   * @returns { string }
+   */
+  static toMarkdown(note) {
+    const { title, body, createdAt, archived } = this.pick(note);
+
+    return [
+      "---",
+      `title: ${JSON.stringify(title)}`,
+      `createdAt: ${createdAt}`,
+      `archived: ${archived}`,
+      "---",
+      "",
+      body,
+    ].join("\n");
+  }
+
+  /**
+   * Exports notes as a zip with one Markdown file per note, named after its title
+   *
+   * @param { Object[] } notes - Active and archived notes
+   * @returns { Blob }
+   */
+  static toMarkdownZip(notes) {
+    const usedNames = new Set();
+
+    const files = notes.map((note) => {
+      const slug =
+        note.title
+          .toLowerCase()
+          .normalize("NFKD")
+          .replace(/[^\p{L}\p{N}]+/gu, "-")
+          .replace(/^-+|-+$/g, "")
+          .slice(0, 50) || "note";
+      let name = `${slug}.md`;
+
+      for (let suffix = 2; usedNames.has(name); suffix += 1) {
+        name = `${slug}-${suffix}.md`;
+      }
+
+      usedNames.add(name);
+      return { name, content: this.toMarkdown(note) };
+    });
+
+    return HelperZip.create(files);
+  }
+
+  /**
+   * Reads the notes of a JSON export, either `{ notes: [...] }` or a plain array
+   *
+   * @param { string } text - The file content
+   * @returns { Object[] } The notes as found in the file
+   * @throws { Error } - When the file is not valid JSON or holds no list of notes
+   */
+  static parseJson(text) {
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Not a valid JSON file");
+    }
+
+    const notes = Array.isArray(data) ? data : data && data.notes;
+    if (!Array.isArray(notes)) {
+      throw new Error("The file does not contain a list of notes");
+    }
+
+    return notes;
+  }
+
+  /**
+   * Reads a Markdown note, the title falls back to the file name without front-matter
+   *
+   * @param { string } text - The file content
+   * @param { string } fileName - The file name
+   * @returns { Object } The note
+   */
+  static parseMarkdown(text, fileName) {
+    const match = text.match(FRONT_MATTER_PATTERN);
+    const fields = {};
+
+    if (match) {
+      match[1].split(/\r?\n/).forEach((line) => {
+        const separator = line.indexOf(":");
+        if (separator === -1) return;
+
+        const key = line.slice(0, separator).trim();
+        let value = line.slice(separator + 1).trim();
+
+        if (value.startsWith('"')) {
+          try {
+            value = JSON.parse(value);
+          } catch (error) {
+            value = value.slice(1, -1);
+          }
+        } else if (value.startsWith("'") && value.endsWith("'")) {
+          value = value.slice(1, -1).replace(/''/g, "'");
+        }
+
+        fields[key] = value;
+      });
+    }
+
+    const body = match ? text.slice(match[0].length).replace(/^\r?\n/, "") : text;
+
+    return {
+      title: fields.title || fileName.replace(/^.*\//, "").replace(/\.md$/i, ""),
+      body: body.replace(/\s+$/, ""),
+      createdAt: fields.createdAt,
+      archived: fields.archived === "true",
+    };
+  }
+
+  /**
+   * Checks that an imported note has what NoteApi.createNote needs
+   *
+   * @param { Object } note - The note read from a file
+   * @returns { string } The problem, empty when the note can be imported
+   */
+  static validate(note) {
+    if (!note || typeof note !== "object") return "Not a note";
+    if (typeof note.title !== "string" || !note.title.trim()) return "The note has no title";
+    if (typeof note.body !== "string" || !note.body.trim()) return "The note has no body";
+    return "";
+  }
+
+  /**
+   * Turns the content of one file into import items
+   *
+   * @param { string } name - The file name, used as the source of the items
+   * @param { string } text - The file content
+   * @returns { { source: string, note?: Object, error?: string }[] }
+   */
+  static parseFile(name, text) {
+    if (/\.md$/i.test(name)) {
+      const note = this.parseMarkdown(text, name);
+      const error = this.validate(note);
+      return [error ? { source: name, error } : { source: name, note }];
+    }
+
+    if (/\.json$/i.test(name)) {
+      try {
+        const notes = this.parseJson(text);
+
+        return notes.map((note, index) => {
+          const source = notes.length > 1 ? `${name} #${index + 1}` : name;
+          const error = this.validate(note);
+          return error ? { source, error } : { source, note: this.pick(note) };
+        });
+      } catch (error) {
+        return [{ source: name, error: error.message }];
+      }
+    }
+
+    return [{ source: name, error: "Only .json, .md and .zip files can be imported" }];
+  }
+
+  /**
+   * Reads the chosen files into import items, one for every note or unreadable file
+   * Zip archives are unpacked and their Markdown and JSON files read like single files.
+   *
+   * @param { File[] } files - The files from the file input
+   * @returns { Promise<{ source: string, note?: Object, error?: string }[]> }
+   */
+  static async readFiles(files) {
+    const items = [];
+
+    for (const file of files) {
+      try {
+        if (/\.zip$/i.test(file.name)) {
+          const entries = await HelperZip.read(await file.arrayBuffer());
+
+          entries
+            .filter(({ name }) => !/(^|\/)(__MACOSX\/|\.)/.test(name))
+            .forEach(({ name, content }) => {
+              items.push(...this.parseFile(`${file.name}/${name}`, content));
+            });
+        } else {
+          items.push(...this.parseFile(file.name, await file.text()));
+        }
+      } catch (error) {
+        items.push({ source: file.name, error: error.message });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Builds the key two notes are considered duplicates by: the same title and body
+   *
+   * @param { Object } note - The note
+   * @returns { string }
+   */
+  static getDuplicateKey(note) {
+    return `${note.title.trim()}\n${note.body.trim()}`;
+  }
+
+  /**
+   * Lets the browser download a file
+   *
+   * @param { Blob } blob - The file content
+   * @param { string } fileName - The suggested file name
+   */
+  static download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before the URL is released
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+export default HelperBackup;
@@ -0,0 +1,107 @@
+/**
+ * @class HelperColor
+ * @description Utility class for the colors notes can be labelled with.
+ * The palette is fixed: every background keeps the white and pink text of a card at a contrast
+ * ratio of at least 4.5:1 (WCAG AA), and every accent stays at 3:1 against the black page.
+ * The color the lists are filtered by is kept in the `color` URL parameter.
+ */
+
+const COLOR_PARAM = "color";
+
+const PALETTE = [
+  { name: "red", label: "Red", background: "#3D1218", accent: "#E5707E" },
+  { name: "orange", label: "Orange", background: "#3B2208", accent: "#E89B4F" },
+  { name: "yellow", label: "Yellow", background: "#33300A", accent: "#D9C85A" },
+  { name: "green", label: "Green", background: "#10301C", accent: "#6CC48A" },
+  { name: "teal", label: "Teal", background: "#0B2F33", accent: "#5BC0C8" },
+  { name: "blue", label: "Blue", background: "#14213F", accent: "#7C9BEA" },
+  { name: "purple", label: "Purple", background: "#2A1640", accent: "#B58AE8" },
+];
+
+class HelperColor {
+  /**
+   * The colors to choose from
+   *
+   * @returns { { name: string, label: string, background: string, accent: string }[] }
+   */
+  static get palette() {
+    return PALETTE;
+  }
+
+  /**
+   * Looks up a color of the palette
+   *
+   * @param { string } name - The color name
+   * @returns { Object|undefined } The palette entry, undefined for unknown names and no color
+   */
+  static find(name) {
+    return PALETTE.find((color) => color.name === name);
+  }
+
+  /**
+   * Sets the custom properties a note card reads its colors from
+   *
+   * @param { HTMLElement } element - The element to style, usually a note-item host
+   * @param { string } name - The color name, removes the colors when it is not in the palette
+   */
+  static apply(element, name) {
+    const color = this.find(name);
+
+    if (color) {
+      element.style.setProperty("--note-background", color.background);
+      element.style.setProperty("--note-accent", color.accent);
+    } else {
+      element.style.removeProperty("--note-background");
+      element.style.removeProperty("--note-accent");
+    }
+  }
+
+  /**
+   * Checks whether a note has the color the lists are filtered by
+   *
+   * @param { string } noteColor - The color of the note, empty when it has none
+   * @param { string } filter - The color to filter by, empty to show every note
+   * @returns { boolean }
+   */
+  static matches(noteColor, filter) {
+    return !filter || noteColor === filter;
+  }
+
+  /**
+   * Reads the color filter from the URL
+   *
+   * @returns { string } The color name, empty when the lists are not filtered by color
+   */
+  static getFilter() {
+    const name = new URLSearchParams(window.location.search).get(COLOR_PARAM) || "";
+    return this.find(name) ? name : "";
+  }
+
+  /**
+   * Stores the color filter in the URL and notifies the note lists
+   *
+   * @param { string } name - The color to filter by, empty to show every note
+   * @fires CustomEvent#color-filter-changed
+   */
+  static setFilter(name) {
+    const url = new URL(window.location.href);
+
+    if (name) {
+      url.searchParams.set(COLOR_PARAM, name);
+    } else {
+      url.searchParams.delete(COLOR_PARAM);
+    }
+
+    window.history.replaceState(window.history.state, "", url);
+
+    document.dispatchEvent(
+      new CustomEvent("color-filter-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { color: name },
+      }),
+    );
+  }
+}
+
+export default HelperColor;
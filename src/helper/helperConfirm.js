@@ -0,0 +1,85 @@
+/**
+ * @class HelperConfirm
+ * @description Utility class for asking the user to confirm destructive actions
+ * with the <confirm-dialog> element. Remembers per action when the user chose
+ * "Don't ask again", which the lists let the user undo with "Ask before deleting".
+ *
+ * @example
+ * if (await HelperConfirm.confirm({ key: "delete-note", title: "Delete note?", message })) {
+ *   deleteNote();
+ * }
+ */
+
+const STORAGE_PREFIX = "notes-app:confirm:";
+
+class HelperConfirm {
+  /**
+   * Asks the user to confirm an action
+   * Resolves to true right away when the user opted out of this prompt before.
+   *
+   * @param { Object } options - Dialog options, see ConfirmDialog.confirm
+   * @param { string } [options.key] - Identifies the action so "Don't ask again" can be
+   * remembered, the checkbox is only shown when a key is given
+   * @returns { Promise<boolean> } Whether the action was confirmed
+   */
+  static async confirm({ key, ...options }) {
+    if (key && this.isSkipped(key)) return true;
+
+    const { confirmed, remember } = await this.getDialog().confirm({
+      ...options,
+      allowRemember: Boolean(key),
+    });
+
+    if (confirmed && remember) {
+      this.skip(key);
+    }
+
+    return confirmed;
+  }
+
+  /**
+   * Checks whether the user chose "Don't ask again" for an action
+   *
+   * @param { string } key - The action key
+   * @returns { boolean }
+   */
+  static isSkipped(key) {
+    return localStorage.getItem(`${STORAGE_PREFIX}${key}`) === "skip";
+  }
+
+  /**
+   * Stops asking for an action, as if the user chose "Don't ask again"
+   *
+   * @param { string } key - The action key
+   */
+  static skip(key) {
+    localStorage.setItem(`${STORAGE_PREFIX}${key}`, "skip");
+  }
+
+  /**
+   * Asks again for an action the user opted out of
+   *
+   * @param { string } key - The action key
+   */
+  static reset(key) {
+    localStorage.removeItem(`${STORAGE_PREFIX}${key}`);
+  }
+
+  /**
+   * Finds the dialog element of the page, adding one when the page has none
+   *
+   * @returns { HTMLElement } The <confirm-dialog> element
+   */
+  static getDialog() {
+    let dialog = document.querySelector("confirm-dialog");
+
+    if (!dialog) {
+      dialog = document.createElement("confirm-dialog");
+      document.body.appendChild(dialog);
+    }
+
+    return dialog;
+  }
+}
+
+export default HelperConfirm;
@@ -0,0 +1,64 @@
+/**
+ * @class HelperDraft
+ * @description Utility class for the draft of the note being written in make-note.
+ * The draft is kept in localStorage so it survives a reload and a failed create.
+ */
+
+const STORAGE_KEY = "notes-app:draft";
+
+class HelperDraft {
+  /**
+   * Reads the saved draft
+   *
+   * @returns { { title: string, body: string }|null } The draft, null when there is none
+   */
+  static load() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!draft) return null;
+
+      return { title: String(draft.title || ""), body: String(draft.body || "") };
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves the draft, or removes it once both fields are empty
+   *
+   * @param { Object } draft
+   * @param { string } draft.title - The title typed so far
+   * @param { string } draft.body - The body typed so far
+   */
+  static save({ title, body }) {
+    if (!title && !body) {
+      this.clear();
+      return;
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ title, body }));
+  }
+
+  /**
+   * Removes the saved draft
+   */
+  static clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  /**
+   * Checks whether the saved draft still holds exactly these values
+   *
+   * @param { Object } draft
+   * @param { string } draft.title - The title to compare
+   * @param { string } draft.body - The body to compare
+   * @returns { boolean }
+   */
+  static matches({ title, body }) {
+    const draft = this.load();
+    return Boolean(draft) && draft.title === title && draft.body === body;
+  }
+}
+
+export default HelperDraft;
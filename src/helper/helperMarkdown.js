@@ -0,0 +1,324 @@
+/**
+ * @class HelperMarkdown
+ * @description Utility class that renders note bodies written in Markdown.
+ * Supports headings, emphasis, ordered and unordered lists, inline code, fenced code blocks,
+ * block quotes, horizontal rules and links.
+ * The output is built from DOM nodes and text nodes only, never from an HTML string, so markup
+ * inside a note is always shown as text. Links are limited to http, https and mailto URLs.
+ */
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// Inline code, links, strong and emphasis, earliest match wins.
+// Underscores only count at word boundaries so snake_case stays as it is.
+const INLINE = new RegExp(
+  [
+    "(?<ticks>`+)(?<code>[^`]|[^`][\\s\\S]*?[^`])\\k<ticks>(?!`)",
+    "\\[(?<linkText>[^\\]]+)\\]\\(\\s*(?<href>[^)\\s]+)\\s*\\)",
+    "\\*\\*(?=\\S)(?<strong>[\\s\\S]*?\\S)\\*\\*",
+    "(?<!\\w)__(?=\\S)(?<underscoreStrong>[\\s\\S]*?\\S)__(?!\\w)",
+    "\\*(?=\\S)(?<emphasis>[\\s\\S]*?\\S)\\*",
+    "(?<!\\w)_(?=\\S)(?<underscoreEmphasis>[\\s\\S]*?\\S)_(?!\\w)",
+  ].join("|"),
+);
+
+class HelperMarkdown {
+  /**
+   * Renders Markdown into a document fragment
+   *
+   * @param { string } source - The Markdown text
+   * @param { Function } [renderText] - Called as `renderText(parent, text)` for every piece of
+   * plain text, e.g. to highlight search matches. Appends a text node by default.
+   * @returns { DocumentFragment } The rendered content
+   */
+  static render(source, renderText = HelperMarkdown.appendText) {
+    const fragment = document.createDocumentFragment();
+    this.renderBlocks(fragment, source.replace(/\r\n?/g, "\n").split("\n"), renderText);
+    return fragment;
+  }
+
+  /**
+   * Default text renderer, appends the text as a text node
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string } text - The text
+   */
+  static appendText(parent, text) {
+    parent.appendChild(document.createTextNode(text));
+  }
+
+  /**
+   * Renders block level elements from a list of lines
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string[] } lines - Source lines
+   * @param { Function } renderText - Plain text renderer
+   */
+  static renderBlocks(parent, lines, renderText) {
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+
+      if (line.trim() === "") {
+        index += 1;
+      } else if (FENCE.test(line)) {
+        index = this.renderCodeBlock(parent, lines, index);
+      } else if (HEADING.test(line)) {
+        const [, hashes, text] = line.match(HEADING);
+        const heading = document.createElement(`h${hashes.length}`);
+        this.renderInline(heading, text, renderText);
+        parent.appendChild(heading);
+        index += 1;
+      } else if (RULE.test(line)) {
+        parent.appendChild(document.createElement("hr"));
+        index += 1;
+      } else if (QUOTE.test(line)) {
+        const quoted = [];
+
+        while (index < lines.length && QUOTE.test(lines[index])) {
+          quoted.push(lines[index].replace(QUOTE, ""));
+          index += 1;
+        }
+
+        const blockquote = document.createElement("blockquote");
+        this.renderBlocks(blockquote, quoted, renderText);
+        parent.appendChild(blockquote);
+      } else if (LIST_ITEM.test(line)) {
+        index = this.renderList(parent, lines, index, renderText);
+      } else {
+        index = this.renderParagraph(parent, lines, index, renderText);
+      }
+    }
+  }
+
+  /**
+   * Renders a fenced code block
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string[] } lines - Source lines
+   * @param { number } start - Index of the opening fence
+   * @returns { number } Index of the line after the closing fence
+   */
+  static renderCodeBlock(parent, lines, start) {
+    const fence = lines[start].match(FENCE)[1];
+    const code = [];
+    let index = start + 1;
+
+    while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+      code.push(lines[index]);
+      index += 1;
+    }
+
+    const pre = document.createElement("pre");
+    const codeElement = document.createElement("code");
+    codeElement.textContent = code.join("\n");
+    pre.appendChild(codeElement);
+    parent.appendChild(pre);
+
+    return index + 1;
+  }
+
+  /**
+   * Renders consecutive list items, with more indented lines nested inside the item above them
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string[] } lines - Source lines
+   * @param { number } start - Index of the first item
+   * @param { Function } renderText - Plain text renderer
+   * @returns { number } Index of the first line after the list
+   */
+  static renderList(parent, lines, start, renderText) {
+    const [, indent, marker] = lines[start].match(LIST_ITEM);
+    const ordered = /\d/.test(marker);
+    const list = document.createElement(ordered ? "ol" : "ul");
+    let index = start;
+
+    if (ordered && parseInt(marker, 10) !== 1) {
+      list.setAttribute("start", parseInt(marker, 10));
+    }
+
+    while (index < lines.length) {
+      const match = lines[index].match(LIST_ITEM);
+      if (!match || match[1].length !== indent.length || /\d/.test(match[2]) !== ordered) break;
+
+      const itemLines = [match[3]];
+      index += 1;
+
+      // Lines indented deeper than the marker belong to this item
+      while (
+        index < lines.length &&
+        lines[index].trim() !== "" &&
+        lines[index].match(/^\s*/)[0].length > indent.length
+      ) {
+        itemLines.push(lines[index].slice(indent.length + 2));
+        index += 1;
+      }
+
+      const item = document.createElement("li");
+      this.renderListItem(item, itemLines, renderText);
+      list.appendChild(item);
+    }
+
+    parent.appendChild(list);
+    return index;
+  }
+
+  /**
+   * Renders the content of a list item, keeping a single line of text inline
+   *
+   * @param { HTMLElement } item - The list item element
+   * @param { string[] } lines - The item lines without the marker
+   * @param { Function } renderText - Plain text renderer
+   */
+  static renderListItem(item, lines, renderText) {
+    const firstNested = lines.findIndex((line, index) => index > 0 && LIST_ITEM.test(line));
+    const textLines = firstNested === -1 ? lines : lines.slice(0, firstNested);
+
+    this.renderInline(item, textLines.join("\n"), renderText);
+
+    if (firstNested !== -1) {
+      this.renderBlocks(item, lines.slice(firstNested), renderText);
+    }
+  }
+
+  /**
+   * Renders a paragraph, keeping single newlines as line breaks
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string[] } lines - Source lines
+   * @param { number } start - Index of the first paragraph line
+   * @param { Function } renderText - Plain text renderer
+   * @returns { number } Index of the first line after the paragraph
+   */
+  static renderParagraph(parent, lines, start, renderText) {
+    const paragraphLines = [];
+    let index = start;
+
+    while (index < lines.length && lines[index].trim() !== "") {
+      if (index > start && this.startsBlock(lines[index])) break;
+
+      paragraphLines.push(lines[index]);
+      index += 1;
+    }
+
+    const paragraph = document.createElement("p");
+    this.renderInline(paragraph, paragraphLines.join("\n"), renderText);
+    parent.appendChild(paragraph);
+
+    return index;
+  }
+
+  /**
+   * Checks whether a line starts a block that interrupts a paragraph
+   *
+   * @param { string } line - The source line
+   * @returns { boolean }
+   */
+  static startsBlock(line) {
+    return [FENCE, HEADING, RULE, QUOTE, LIST_ITEM].some((pattern) => pattern.test(line));
+  }
+
+  /**
+   * Renders inline formatting: code spans, links, strong and emphasis
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string } text - The inline source
+   * @param { Function } renderText - Plain text renderer
+   */
+  static renderInline(parent, text, renderText) {
+    let rest = text;
+
+    while (rest) {
+      const match = rest.match(INLINE);
+
+      if (!match) {
+        this.renderLines(parent, rest, renderText);
+        return;
+      }
+
+      if (match.index > 0) {
+        this.renderLines(parent, rest.slice(0, match.index), renderText);
+      }
+
+      const { code, linkText, href, strong, underscoreStrong, emphasis, underscoreEmphasis } =
+        match.groups;
+
+      if (code !== undefined) {
+        const codeElement = document.createElement("code");
+        codeElement.textContent = code.trim() || code;
+        parent.appendChild(codeElement);
+      } else if (linkText !== undefined) {
+        this.renderLink(parent, linkText, href, renderText);
+      } else if (strong !== undefined || underscoreStrong !== undefined) {
+        const strongElement = document.createElement("strong");
+        this.renderInline(strongElement, strong || underscoreStrong, renderText);
+        parent.appendChild(strongElement);
+      } else {
+        const emphasisElement = document.createElement("em");
+        this.renderInline(emphasisElement, emphasis || underscoreEmphasis, renderText);
+        parent.appendChild(emphasisElement);
+      }
+
+      rest = rest.slice(match.index + match[0].length);
+    }
+  }
+
+  /**
+   * Renders plain text, turning newlines into <br> tags
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string } text - The text
+   * @param { Function } renderText - Plain text renderer
+   */
+  static renderLines(parent, text, renderText) {
+    text.split("\n").forEach((line, index) => {
+      if (index > 0) parent.appendChild(document.createElement("br"));
+      if (line) renderText(parent, line);
+    });
+  }
+
+  /**
+   * Renders a link, or just its source text when the URL is not safe to open
+   *
+   * @param { Node } parent - The node to append to
+   * @param { string } text - The link text
+   * @param { string } href - The link URL
+   * @param { Function } renderText - Plain text renderer
+   */
+  static renderLink(parent, text, href, renderText) {
+    if (!this.isSafeUrl(href)) {
+      this.renderLines(parent, `[${text}](${href})`, renderText);
+      return;
+    }
+
+    const link = document.createElement("a");
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    this.renderInline(link, text, renderText);
+    parent.appendChild(link);
+  }
+
+  /**
+   * Checks that a URL uses an allowed protocol
+   *
+   * @param { string } href - The URL from the Markdown source
+   * @returns { boolean }
+   */
+  static isSafeUrl(href) {
+    try {
+      return SAFE_PROTOCOLS.includes(new URL(href, window.location.href).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default HelperMarkdown;
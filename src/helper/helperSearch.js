@@ -0,0 +1,143 @@
+/**
+ * @class HelperSearch
+ * @description Utility class for searching notes by title and body.
+ * Matching ignores case and accents, and every word of the query must appear in the note.
+ * The current query is kept in the `q` URL parameter so it survives a reload.
+ */
+
+const QUERY_PARAM = "q";
+
+class HelperSearch {
+  /**
+   * Removes accents and lowercases text so "Café" and "cafe" compare equal
+   *
+   * @param { string } text - The text to fold
+   * @returns { string } The folded text
+   */
+  static fold(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  /**
+   * Splits a query into folded search terms
+   *
+   * @param { string } query - The raw query
+   * @returns { string[] } Non-empty search terms
+   */
+  static terms(query) {
+    return this.fold(query || "")
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Checks whether a note matches every term of the query
+   *
+   * @param { Object } note - Note with title and body
+   * @param { string } query - The raw query
+   * @returns { boolean } True when the query is empty or every term is found
+   */
+  static matches(note, query) {
+    const haystack = this.fold(`${note.title}\n${note.body}`);
+    return this.terms(query).every((term) => haystack.includes(term));
+  }
+
+  /**
+   * Splits text into segments, flagging the parts that match the query
+   *
+   * @param { string } text - The text to highlight
+   * @param { string } query - The raw query
+   * @returns { { text: string, match: boolean }[] } Segments in their original order and casing
+   */
+  static highlight(text, query) {
+    const terms = this.terms(query);
+    if (terms.length === 0) return [{ text, match: false }];
+
+    // Folding can change the length of a character, so remember where every folded
+    // character comes from in the original text
+    let folded = "";
+    const starts = [];
+    const ends = [];
+    let offset = 0;
+
+    for (const char of text) {
+      const foldedChar = this.fold(char);
+
+      for (let i = 0; i < foldedChar.length; i++) {
+        starts.push(offset);
+        ends.push(offset + char.length);
+      }
+
+      folded += foldedChar;
+      offset += char.length;
+    }
+
+    const ranges = [];
+    terms.forEach((term) => {
+      let index = folded.indexOf(term);
+
+      while (index !== -1) {
+        ranges.push([starts[index], ends[index + term.length - 1]]);
+        index = folded.indexOf(term, index + term.length);
+      }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const segments = [];
+    let cursor = 0;
+
+    ranges.forEach(([start, end]) => {
+      if (end <= cursor) return;
+
+      const from = Math.max(start, cursor);
+      if (from > cursor) segments.push({ text: text.slice(cursor, from), match: false });
+      segments.push({ text: text.slice(from, end), match: true });
+      cursor = end;
+    });
+
+    if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+
+    return segments;
+  }
+
+  /**
+   * Reads the current query from the URL
+   *
+   * @returns { string } The query, or an empty string
+   */
+  static getQuery() {
+    return new URLSearchParams(window.location.search).get(QUERY_PARAM) || "";
+  }
+
+  /**
+   * Stores the query in the URL and notifies the note lists
+   *
+   * @param { string } query - The new query
+   * @fires CustomEvent#search-changed
+   */
+  static setQuery(query) {
+    const url = new URL(window.location.href);
+
+    if (query) {
+      url.searchParams.set(QUERY_PARAM, query);
+    } else {
+      url.searchParams.delete(QUERY_PARAM);
+    }
+
+    window.history.replaceState(window.history.state, "", url);
+
+    document.dispatchEvent(
+      new CustomEvent("search-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { query },
+      }),
+    );
+  }
+}
+
+export default HelperSearch;
@@ -0,0 +1,54 @@
+/**
+ * @class HelperSelection
+ * @description Utility class for multi-select in the note lists.
+ * Works on a Set of selected note IDs and the IDs of the list in display order.
+ */
+
+class HelperSelection {
+  /**
+   * Selects or deselects a note, or every note between it and the anchor for a range selection
+   *
+   * @param { Set<string> } selected - The selected IDs, changed in place
+   * @param { string[] } ids - IDs of the listed notes in display order
+   * @param { string } id - The note that was clicked
+   * @param { boolean } isSelected - Whether the note should be selected
+   * @param { string|null } anchorId - The note clicked before, where a range starts
+   * @param { boolean } range - Whether to apply the state to the whole range
+   * @returns { Set<string> } The same Set
+   */
+  static toggle(selected, ids, id, isSelected, anchorId, range) {
+    const start = range ? ids.indexOf(anchorId) : -1;
+    const end = ids.indexOf(id);
+    const rangeIds =
+      start === -1 || end === -1 ? [id] : ids.slice(Math.min(start, end), Math.max(start, end) + 1);
+
+    rangeIds.forEach((rangeId) => {
+      if (isSelected) {
+        selected.add(rangeId);
+      } else {
+        selected.delete(rangeId);
+      }
+    });
+
+    return selected;
+  }
+
+  /**
+   * Drops selected IDs that are no longer listed, e.g. after notes were deleted elsewhere
+   *
+   * @param { Set<string> } selected - The selected IDs, changed in place
+   * @param { string[] } ids - IDs of the listed notes
+   * @returns { Set<string> } The same Set
+   */
+  static prune(selected, ids) {
+    const listed = new Set(ids);
+
+    [...selected].forEach((id) => {
+      if (!listed.has(id)) selected.delete(id);
+    });
+
+    return selected;
+  }
+}
+
+export default HelperSelection;
@@ -0,0 +1,80 @@
+/**
+ * @class HelperSort
+ * @description Utility class for ordering note lists.
+ * Sorting always returns a new array so the fetched notes are never mutated.
+ * The chosen order is remembered per list in localStorage.
+ */
+
+const STORAGE_PREFIX = "notes-app:sort:";
+
+const SORT_ORDERS = {
+  newest: { label: "Newest first", compare: (a, b) => toTime(b) - toTime(a) },
+  oldest: { label: "Oldest first", compare: (a, b) => toTime(a) - toTime(b) },
+  "title-asc": { label: "Title A–Z", compare: (a, b) => compareTitle(a, b) },
+  "title-desc": { label: "Title Z–A", compare: (a, b) => compareTitle(b, a) },
+};
+
+const DEFAULT_ORDER = "newest";
+
+/**
+ * @param { Object } note - Note with a createdAt date string
+ * @returns { number } Creation time in milliseconds
+ */
+function toTime(note) {
+  return new Date(note.createdAt).getTime();
+}
+
+/**
+ * @param { Object } a - First note
+ * @param { Object } b - Second note
+ * @returns { number } Comparison of the titles, ignoring case and accents
+ */
+function compareTitle(a, b) {
+  return a.title.localeCompare(b.title, undefined, { sensitivity: "base", numeric: true });
+}
+
+class HelperSort {
+  /**
+   * Available orders for the sort control
+   *
+   * @returns { { value: string, label: string }[] } Order keys with their labels
+   */
+  static get orders() {
+    return Object.entries(SORT_ORDERS).map(([value, { label }]) => ({ value, label }));
+  }
+
+  /**
+   * Returns a sorted copy of the notes
+   *
+   * @param { Object[] } notes - The notes to sort
+   * @param { string } order - One of the keys from `orders`
+   * @returns { Object[] } A new, sorted array
+   */
+  static sort(notes, order) {
+    const { compare } = SORT_ORDERS[order] || SORT_ORDERS[DEFAULT_ORDER];
+    return [...notes].sort(compare);
+  }
+
+  /**
+   * Reads the remembered order of a list
+   *
+   * @param { string } listKey - Identifies the list, e.g. "active" or "archived"
+   * @returns { string } The saved order, or the default when none is saved
+   */
+  static getOrder(listKey) {
+    const order = localStorage.getItem(`${STORAGE_PREFIX}${listKey}`);
+    return SORT_ORDERS[order] ? order : DEFAULT_ORDER;
+  }
+
+  /**
+   * Remembers the order of a list
+   *
+   * @param { string } listKey - Identifies the list, e.g. "active" or "archived"
+   * @param { string } order - One of the keys from `orders`
+   */
+  static setOrder(listKey, order) {
+    localStorage.setItem(`${STORAGE_PREFIX}${listKey}`, order);
+  }
+}
+
+export default HelperSort;
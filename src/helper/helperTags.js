@@ -0,0 +1,123 @@
+/**
+ * @class HelperTags
+ * @description Utility class for tags written as `#hashtags` in note bodies.
+ * Tags are compared in lowercase. The tags the lists are filtered by are kept in the
+ * `tags` URL parameter, comma separated, so the filter survives a reload.
+ */
+
+const TAGS_PARAM = "tags";
+
+// A "#" at the start or after whitespace or punctuation, followed by letters, digits, "_" or "-"
+// with at least one letter, so "# Heading", "&#39;" and "page#anchor" are not tags
+const TAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#([\p{N}_-]*\p{L}[\p{L}\p{N}_-]*)/gu;
+
+class HelperTags {
+  /**
+   * Finds the tags of a note body
+   *
+   * @param { string } body - The note body
+   * @returns { string[] } Unique lowercase tags in order of appearance
+   */
+  static parse(body) {
+    const tags = [...(body || "").matchAll(TAG_PATTERN)].map((match) => match[1].toLowerCase());
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Checks whether a note has every one of the tags
+   *
+   * @param { Object } note - Note with a body
+   * @param { string[] } tags - The tags to filter by
+   * @returns { boolean } True when no tags are given or the note has all of them
+   */
+  static matches(note, tags) {
+    if (tags.length === 0) return true;
+
+    const noteTags = this.parse(note.body);
+    return tags.every((tag) => noteTags.includes(tag));
+  }
+
+  /**
+   * Counts how many notes carry each tag
+   *
+   * @param { Object[] } notes - Notes with a body
+   * @returns { { tag: string, count: number }[] } Tags ordered by count, then by name
+   */
+  static count(notes) {
+    const counts = new Map();
+
+    notes.forEach((note) => {
+      this.parse(note.body).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Reads the selected tags from the URL
+   *
+   * @returns { string[] } The selected tags, empty when the lists are not filtered by tag
+   */
+  static getSelected() {
+    const param = new URLSearchParams(window.location.search).get(TAGS_PARAM) || "";
+    return param.split(",").filter(Boolean);
+  }
+
+  /**
+   * Stores the selected tags in the URL and notifies the note lists
+   *
+   * @param { string[] } tags - The new selection
+   * @fires CustomEvent#tags-changed
+   */
+  static setSelected(tags) {
+    const url = new URL(window.location.href);
+
+    if (tags.length > 0) {
+      url.searchParams.set(TAGS_PARAM, tags.join(","));
+    } else {
+      url.searchParams.delete(TAGS_PARAM);
+    }
+
+    window.history.replaceState(window.history.state, "", url);
+
+    document.dispatchEvent(
+      new CustomEvent("tags-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { tags },
+      }),
+    );
+  }
+
+  /**
+   * Adds a tag to the selection, or removes it when it is already selected
+   *
+   * @param { string } tag - The tag to toggle
+   */
+  static toggle(tag) {
+    const selected = this.getSelected();
+
+    this.setSelected(
+      selected.includes(tag)
+        ? selected.filter((selectedTag) => selectedTag !== tag)
+        : [...selected, tag],
+    );
+  }
+
+  /**
+   * Adds a tag to the selection, keeping it when it is already selected
+   *
+   * @param { string } tag - The tag to filter by
+   */
+  static select(tag) {
+    const selected = this.getSelected();
+
+    if (!selected.includes(tag)) {
+      this.setSelected([...selected, tag]);
+    }
+  }
+}
+
+export default HelperTags;
@@ -0,0 +1,90 @@
+/**
+ * @class HelperTemplate
+ * @description Utility class for building component markup that escapes by default.
+ * Values interpolated into `html` templates are escaped, so note data can never become markup.
+ * Only nested `html` templates and values wrapped with `raw` are inserted as they are.
+ *
+ * @example
+ * const { html, raw } = HelperTemplate;
+ * this.shadowRoot.innerHTML = html`${raw(this._style.outerHTML)}<h2>${title}</h2>`;
+ */
+
+const ESCAPED_CHARACTERS = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+/**
+ * Markup that is already safe to insert, produced by `html` or `raw`
+ */
+class SafeHtml {
+  /**
+   * @param { string } value - The markup
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+class HelperTemplate {
+  /**
+   * Escapes a value for use in HTML text or a quoted attribute
+   *
+   * @param { any } value - The value to escape
+   * @returns { string } The escaped text
+   */
+  static escape(value) {
+    return String(value).replace(/[&<>"'`]/g, (char) => ESCAPED_CHARACTERS[char]);
+  }
+
+  /**
+   * Tagged template that escapes every interpolated value.
+   * Arrays are joined, and null, undefined and false render nothing.
+   *
+   * @param { string[] } strings - The literal parts of the template
+   * @param { ...any } values - The interpolated values
+   * @returns { SafeHtml } The markup, usable with innerHTML or inside another template
+   */
+  static html(strings, ...values) {
+    const markup = strings.reduce((result, string, index) => {
+      return result + HelperTemplate.toMarkup(values[index - 1]) + string;
+    });
+
+    return new SafeHtml(markup);
+  }
+
+  /**
+   * Marks trusted markup, such as a component's own style element, to be inserted as it is.
+   * Never use it for note data.
+   *
+   * @param { string } markup - Trusted markup
+   * @returns { SafeHtml }
+   */
+  static raw(markup) {
+    return new SafeHtml(markup);
+  }
+
+  /**
+   * Converts an interpolated value to markup
+   *
+   * @param { any } value - The interpolated value
+   * @returns { string } Escaped text, or the markup of a SafeHtml value
+   */
+  static toMarkup(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map((item) => HelperTemplate.toMarkup(item)).join("");
+    if (value === null || value === undefined || value === false) return "";
+
+    return HelperTemplate.escape(value);
+  }
+}
+
+export default HelperTemplate;
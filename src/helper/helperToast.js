@@ -0,0 +1,65 @@
+/**
+ * @class HelperToast
+ * @description Utility class for showing toast notifications from anywhere in the app.
+ * Dispatches a "toast-requested" event that the <toast-container> element displays.
+ *
+ * @example
+ * HelperToast.error("Cannot reach the server", {
+ *   actions: [{ label: "Retry", onClick: () => retry() }],
+ * });
+ */
+
+class HelperToast {
+  /**
+   * Shows a toast
+   *
+   * @param { string } type - One of "success", "info" or "error"
+   * @param { string } message - The text to show
+   * @param { Object } [options]
+   * @param { { label: string, onClick: Function }[] } [options.actions] - Action buttons,
+   * clicking one runs its callback and closes the toast
+   * @param { number } [options.duration] - Milliseconds before the toast expires
+   * @fires CustomEvent#toast-requested
+   */
+  static show(type, message, options = {}) {
+    document.dispatchEvent(
+      new CustomEvent("toast-requested", {
+        bubbles: true,
+        composed: true,
+        detail: { type, message, ...options },
+      }),
+    );
+  }
+
+  /**
+   * Shows a success toast
+   *
+   * @param { string } message - The text to show
+   * @param { Object } [options] - See `show`
+   */
+  static success(message, options) {
+    this.show("success", message, options);
+  }
+
+  /**
+   * Shows an info toast
+   *
+   * @param { string } message - The text to show
+   * @param { Object } [options] - See `show`
+   */
+  static info(message, options) {
+    this.show("info", message, options);
+  }
+
+  /**
+   * Shows an error toast
+   *
+   * @param { string } message - The text to show
+   * @param { Object } [options] - See `show`
+   */
+  static error(message, options) {
+    this.show("error", message, options);
+  }
+}
+
+export default HelperToast;
@@ -0,0 +1,193 @@
+/**
+ * @class HelperZip
+ * @description Utility class for writing and reading zip archives of text files.
+ * Archives are written without compression, which keeps the writer small and is plenty
+ * for notes. Reading also handles deflated entries, so archives re-packed by other tools
+ * can be imported, as long as the browser supports DecompressionStream.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Lookup table for the CRC-32 checksum every zip entry carries
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+class HelperZip {
+  /**
+   * Calculates the CRC-32 checksum of some bytes
+   *
+   * @param { Uint8Array } bytes - The data
+   * @returns { number } The unsigned checksum
+   */
+  static crc32(bytes) {
+    let crc = 0xffffffff;
+    bytes.forEach((byte) => {
+      crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Converts a date to the MS-DOS time and date fields of a zip entry
+   *
+   * @param { Date } date - The modification date
+   * @returns { { time: number, date: number } }
+   */
+  static toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  /**
+   * Packs text files into a zip archive
+   *
+   * @param { { name: string, content: string }[] } files - Paths inside the archive and their text
+   * @param { Date } [modified] - Modification date stored for every entry
+   * @returns { Blob } The archive
+   */
+  static create(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = this.toDosDateTime(modified);
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+      const nameBytes = encoder.encode(name);
+      const data = encoder.encode(content);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_HEADER, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, UTF8_NAMES, true);
+      local.setUint16(8, STORED, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, CENTRAL_HEADER, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, UTF8_NAMES, true);
+      central.setUint16(10, STORED, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+
+      parts.push(local, nameBytes, data);
+      centralParts.push(central, nameBytes);
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, end], { type: "application/zip" });
+  }
+
+  /**
+   * Unpacks the text files of a zip archive, folders are skipped
+   *
+   * @param { ArrayBuffer } buffer - The archive
+   * @returns { Promise<{ name: string, content: string }[]> } The files in archive order
+   * @throws { Error } - When the data is not a zip archive or uses an unsupported compression
+   */
+  static async read(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    const files = [];
+
+    // The end record sits at the very end, after an optional comment of up to 64 KiB
+    let end = -1;
+    for (let index = view.byteLength - 22; index >= Math.max(0, view.byteLength - 65557); index--) {
+      if (view.getUint32(index, true) === END_OF_CENTRAL_DIRECTORY) {
+        end = index;
+        break;
+      }
+    }
+
+    if (end === -1) {
+      throw new Error("Not a zip archive");
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    for (let entry = 0; entry < count; entry++) {
+      if (view.getUint32(position, true) !== CENTRAL_HEADER) {
+        throw new Error("The zip archive is damaged");
+      }
+
+      const method = view.getUint16(position + 10, true);
+      const compressedSize = view.getUint32(position + 20, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+      position += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith("/")) continue;
+
+      const dataStart =
+        localOffset +
+        30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+      files.push({ name, content: decoder.decode(await this.inflate(data, method, name)) });
+    }
+
+    return files;
+  }
+
+  /**
+   * Decompresses the data of a zip entry
+   *
+   * @param { Uint8Array } data - The stored data
+   * @param { number } method - The compression method of the entry
+   * @param { string } name - The entry name, used in error messages
+   * @returns { Promise<Uint8Array> } The uncompressed data
+   * @throws { Error } - When the compression method is not supported
+   */
+  static async inflate(data, method, name) {
+    if (method === STORED) return data;
+
+    if (method !== DEFLATED || typeof DecompressionStream === "undefined") {
+      throw new Error(`${name} uses a compression this browser cannot read`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+}
+
+export default HelperZip;
@@ -4,35 +4,92 @@
  *
  * @file index.js
  * @requires './components/make-note.js'
+ * @requires './components/note-search.js'
+ * @requires './components/note-sort.js'
  * @requires './components/note-item.js'
  * @requires './components/active-note.js'
  * @requires './components/archive-note.js'
+ * @requires './components/toast-container.js'
+ * @requires './components/confirm-dialog.js'
+ * @requires './components/note-bulk-bar.js'
+ * @requires './components/note-detail.js'
+ * @requires './components/tag-bar.js'
+ * @requires './components/color-filter.js'
+ * @requires './components/note-backup.js'
+ * @requires './components/page-not-found.js'
+ * @requires './components/login-form.js'
+ * @requires './components/register-form.js'
+ * @requires './components/user-badge.js'
  * @requires './style/global.css'
- * @requires './data/noteApi.js'
+ * @requires './data/auth.js'
+ * @requires './data/noteStore.js'
+ * @requires './data/noteMeta.js'
+ * @requires './data/outbox.js'
+ * @requires './helper/helperBackup.js'
  * @requires './helper/helperLoading.js'
+ * @requires './helper/helperToast.js'
+ * @requires './router.js'
+ * @requires './routes.js'
  */
 
 import "./components/make-note.js";
+import "./components/note-search.js";
+import "./components/note-sort.js";
 import "./components/note-item.js";
 import "./components/active-note.js";
 import "./components/archive-note.js";
+import "./components/toast-container.js";
+import "./components/confirm-dialog.js";
+import "./components/note-bulk-bar.js";
+import "./components/note-detail.js";
+import "./components/tag-bar.js";
+import "./components/color-filter.js";
+import "./components/note-backup.js";
+import "./components/page-not-found.js";
+import "./components/login-form.js";
+import "./components/register-form.js";
+import "./components/user-badge.js";
 import "./style/global.css";
-import NoteApi from "./data/noteApi.js";
+import Auth from "./data/auth.js";
+import NoteMeta from "./data/noteMeta.js";
+import NoteStore from "./data/noteStore.js";
+import Outbox from "./data/outbox.js";
+import HelperBackup from "./helper/helperBackup.js";
 import HelperLoading from "./helper/helperLoading.js";
+import HelperToast from "./helper/helperToast.js";
+import Router from "./router.js";
+import routes from "./routes.js";
+
+// Delay before retrying the outbox while the server stays unreachable
+const SYNC_RETRY_DELAY = 30000;
+// Number of requests a bulk action keeps in flight at the same time
+const BULK_CONCURRENCY = 3;
+// Number of failed notes listed by name in the report of a bulk action
+const BULK_REPORT_LIMIT = 5;
+let syncRetryTimeout = null;
+// Where to go once logged in, the page that sent the user to the login
+let returnPath = "/";
 
 /**
  * Event handler for note creation
  * Handles the UI state and API communication when a new note is created
  *
  * @listens CustomEvent#note-created
- * @fires CustomEvent#note-updated - Notifies component to refresh their data
- * @fires CustomEvent#notes-update-complete - Signifies completion of the update process
  */
 document.addEventListener("note-created", async (event) => {
-  const { title, body, button } = event.detail;
+  const { title, body, button, onComplete } = event.detail;
   const request = { title, body };
   HelperLoading.showLoading(button);
-  handleNoteOperation(request, NoteApi.createNote, button);
+  const creating = handleNoteOperation(request, NoteStore.createNote, button);
+
+  // Show the new note in the list right away, it is listed as saving until the server answers
+  if (Router.path === "/new") {
+    Router.navigate("/");
+  }
+
+  // Lets the form clear its draft, which it only does once the note is safe
+  const note = await creating;
+  if (onComplete) onComplete(note);
 });
 
 /**
@@ -41,9 +98,15 @@ document.addEventListener("note-created", async (event) => {
  * @listens CustomEvent#note-deleted
  */
 document.addEventListener("note-deleted", (event) => {
-  const { id, button } = event.detail;
+  const { id, note, button } = event.detail;
   HelperLoading.showLoading(button);
-  handleNoteOperation(id, NoteApi.deleteNote, button);
+
+  // Leave the view of the deleted note, it would only show a 404 afterwards
+  if (Router.path === `/notes/${encodeURIComponent(id)}`) {
+    Router.navigate(note && note.archived ? "/archived" : "/");
+  }
+
+  handleNoteOperation(id, NoteStore.deleteNote, button, note);
 });
 
 /**
@@ -52,9 +115,9 @@ document.addEventListener("note-deleted", (event) => {
  * @listens CustomEvent#note-archived
  */
 document.addEventListener("note-archived", (event) => {
-  const { id, button } = event.detail;
+  const { id, note, button } = event.detail;
   HelperLoading.showLoading(button);
-  handleNoteOperation(id, NoteApi.archiveNote, button);
+  handleNoteOperation(id, NoteStore.archiveNote, button, note);
 });
 
 /**
@@ -63,24 +126,156 @@ document.addEventListener("note-archived", (event) => {
  * @listens CustomEvent#note-unarchived
  */
 document.addEventListener("note-unarchived", (event) => {
-  const { id, button } = event.detail;
+  const { id, note, button } = event.detail;
+  HelperLoading.showLoading(button);
+  handleNoteOperation(id, NoteStore.unarchiveNote, button, note);
+});
+
+/**
+ * Event handler for note editing
+ *
+ * @listens CustomEvent#note-edited
+ */
+document.addEventListener("note-edited", (event) => {
+  const { id, title, body, note, button, onComplete } = event.detail;
+  const request = { id, title, body };
   HelperLoading.showLoading(button);
-  handleNoteOperation(id, NoteApi.unarchiveNote, button);
+  handleNoteOperation(request, NoteStore.updateNote, button, note).then((result) => {
+    if (onComplete) onComplete(Boolean(result));
+  });
+});
+
+/**
+ * Event handler for bulk actions on the selected notes of a list
+ *
+ * @listens CustomEvent#notes-bulk-action
+ */
+document.addEventListener("notes-bulk-action", (event) => {
+  const { action, notes, onProgress, onComplete } = event.detail;
+  const operation = {
+    archive: NoteStore.archiveNote,
+    unarchive: NoteStore.unarchiveNote,
+    delete: NoteStore.deleteNote,
+  }[action];
+
+  handleBulkOperation(notes, operation, onProgress).then(onComplete);
+});
+
+/**
+ * Event handler for notes read from backup files
+ *
+ * @listens CustomEvent#notes-import
+ */
+document.addEventListener("notes-import", (event) => {
+  const { items, onProgress, onComplete } = event.detail;
+  handleImport(items, onProgress).then(onComplete);
+});
+
+/**
+ * Event handler for the login form
+ *
+ * @listens CustomEvent#login-submitted
+ */
+document.addEventListener("login-submitted", (event) => {
+  const { email, password, button, onComplete } = event.detail;
+  handleLogin(() => Auth.login({ email, password }), button, "Log in").then(onComplete);
+});
+
+/**
+ * Event handler for the register form, the new account is logged in right away
+ *
+ * @listens CustomEvent#register-submitted
+ */
+document.addEventListener("register-submitted", (event) => {
+  const { name, email, password, button, onComplete } = event.detail;
+  handleLogin(() => Auth.register({ name, email, password }), button, "Register").then(onComplete);
+});
+
+/**
+ * Event handler for the logout button of the user badge
+ *
+ * @listens CustomEvent#user-logout
+ */
+document.addEventListener("user-logout", (event) => {
+  const unsynced = Outbox.size;
+  HelperLoading.showLoading(event.detail.button);
+
+  // The session is dropped at once, telling the server may take a while and never fails
+  Auth.logout();
+  NoteStore.reset();
+  returnPath = "/";
+  Router.navigate("/login");
+
+  // The queue belongs to this account and waits for it, another user never replays it
+  HelperToast.info(
+    unsynced > 0
+      ? `You are logged out, ${unsynced} unsynced change(s) will sync when you log in again`
+      : "You are logged out",
+  );
+});
+
+/**
+ * Sends the user to the login when the server no longer accepts the session
+ *
+ * @listens CustomEvent#auth-expired
+ */
+document.addEventListener("auth-expired", () => {
+  NoteStore.reset();
+  HelperToast.error("Your session expired, please log in again");
+  // The guard remembers the current page and redirects to the login
+  Router.resolve();
 });
 
 /**
- * Generic handler for note operations (create, delete, archive, unarchive)
- * Applies the operations and updates UI when complete
+ * Replays the outbox when the browser comes back online
+ *
+ * @listens Event#online
+ */
+window.addEventListener("online", syncOutbox);
+
+/**
+ * Generic handler for note operations (create, edit, delete, archive, unarchive)
+ * NoteStore shows the outcome right away and rolls it back when the server refuses it.
+ * Operations that cannot reach the server are queued in the outbox instead of being lost,
+ * and while the outbox is not empty new operations queue behind it to keep their order.
+ * A create that timed out is reported as failed instead, as it may have been stored anyway.
+ * The outcome is reported with a toast, failures offer to retry the operation and
+ * deletes, archives and unarchives offer to undo it.
  *
  * @param { Object|string|number } noteData - Note object or ID depending on operation
  * @param { Function } operation - The API operation to perform
  * @param { HTMLElement } button - Button element to update loading state
- * @returns { Promise<void> }
+ * @param { Object } [note] - Snapshot of the affected note, shown while the operation is pending
+ * and used to undo the operation
+ * @param { Object } [options]
+ * @param { boolean } [options.silent] - Skip the success toast, e.g. while undoing
+ * @returns { Promise<Object|undefined> } - The created or updated note, the note snapshot for
+ * other operations or when queued in the outbox, undefined when the operation failed
  */
-async function handleNoteOperation(noteData, operation, button) {
+async function handleNoteOperation(noteData, operation, button, note, options = {}) {
+  let result;
+
   try {
-    await operation.call(NoteApi, noteData);
-    await notifyAndWaitForUpdate(button);
+    if (Outbox.size > 0 || !navigator.onLine) {
+      result = Outbox.enqueue(operation, noteData, note);
+      reportOperation(
+        "info",
+        "Saved offline, the change will sync when the server is reachable",
+        operation,
+        note,
+        options,
+      );
+      syncOutbox();
+    } else {
+      result = (await operation.call(NoteStore, noteData)) || note;
+      reportOperation(
+        "success",
+        getSuccessMessageForOperation(operation),
+        operation,
+        note,
+        options,
+      );
+    }
 
     if (button) {
       // Reset button text based on operation
@@ -88,12 +283,394 @@ async function handleNoteOperation(noteData, operation, button) {
       HelperLoading.hideLoading(button, buttonText);
     }
   } catch (error) {
-    alert(error.message);
+    if (Outbox.canQueue(error, operation)) {
+      result = Outbox.enqueue(operation, noteData, note);
+      reportOperation(
+        "info",
+        `${error.message}, the change will sync when the server is reachable`,
+        operation,
+        note,
+        options,
+      );
+      scheduleSyncRetry();
+    } else if (error.code === "not-found") {
+      // The note was removed elsewhere, the store already dropped its stale card
+      HelperToast.error(error.message);
+    } else if (error.code === "unauthorized") {
+      // The session expired, the auth-expired handler already sent the user to the login
+    } else {
+      HelperToast.error(`${getFailureMessageForOperation(operation)}: ${error.message}`, {
+        actions: [
+          {
+            label: "Retry",
+            onClick: () => {
+              if (button) HelperLoading.showLoading(button);
+              handleNoteOperation(noteData, operation, button, note, options);
+            },
+          },
+        ],
+      });
+    }
+
     if (button) {
       const buttonText = getButttonTextForOperation(operation);
       HelperLoading.hideLoading(button, buttonText);
     }
   }
+
+  if (result && operation === NoteStore.deleteNote) {
+    // Pins of a deleted note have nothing to refer to anymore
+    NoteMeta.remove(noteData);
+  }
+
+  return result;
+}
+
+/**
+ * Shows the toast for an applied or queued operation, with an "Undo" action when the
+ * operation can be reversed
+ *
+ * @param { string } type - Toast type, "success" or "info"
+ * @param { string } message - Text to display in the toast
+ * @param { Function } operation - The API operation that was performed
+ * @param { Object } [note] - Snapshot of the affected note before the operation
+ * @param { Object } [options] - The options passed to handleNoteOperation
+ */
+function reportOperation(type, message, operation, note, options = {}) {
+  if (options.silent) return;
+
+  const canUndo =
+    note &&
+    [NoteStore.deleteNote, NoteStore.archiveNote, NoteStore.unarchiveNote].includes(operation);
+  // Taken now, a deleted note loses its metadata once the operation is done
+  const meta = note ? NoteMeta.get(note.id) : {};
+
+  HelperToast.show(type, message, {
+    actions: canUndo
+      ? [{ label: "Undo", onClick: () => undoNoteOperation(operation, note, meta) }]
+      : [],
+  });
+}
+
+/**
+ * Reverses a delete, archive or unarchive
+ * A deleted note is re-created from its snapshot, and archived again if it was archived.
+ * The re-created note gets a new ID and creation date from the server, its pin is carried over.
+ *
+ * @param { Function } operation - The API operation to reverse
+ * @param { Object } note - Snapshot of the note taken before the operation
+ * @param { Object } [meta] - Metadata of the note taken before the operation
+ * @returns { Promise<void> }
+ */
+async function undoNoteOperation(operation, note, meta = {}) {
+  const options = { silent: true };
+  let restored;
+
+  if (operation === NoteStore.archiveNote) {
+    restored = await handleNoteOperation(note.id, NoteStore.unarchiveNote, null, note, options);
+  } else if (operation === NoteStore.unarchiveNote) {
+    restored = await handleNoteOperation(note.id, NoteStore.archiveNote, null, note, options);
+  } else if (operation === NoteStore.deleteNote) {
+    const request = { title: note.title, body: note.body };
+    restored = await handleNoteOperation(request, NoteStore.createNote, null, note, options);
+
+    if (restored && Object.keys(meta).length > 0) {
+      NoteMeta.set(restored.id, meta);
+    }
+
+    if (restored && note.archived) {
+      restored = await handleNoteOperation(
+        restored.id,
+        NoteStore.archiveNote,
+        null,
+        restored,
+        options,
+      );
+    }
+  }
+
+  if (restored) {
+    HelperToast.success(`Restored "${note.title}"`);
+  }
+}
+
+/**
+ * Applies an archive, unarchive or delete to many notes
+ * Runs at most BULK_CONCURRENCY requests at a time and refreshes the lists once at the end.
+ * Notes that cannot reach the server are queued in the outbox, every other failure is
+ * reported per note and does not stop the remaining notes.
+ *
+ * @param { Object[] } notes - The notes to change
+ * @param { Function } operation - The API operation to perform on each note
+ * @param { Function } [onProgress] - Called with the number of finished notes and the total
+ * @returns { Promise<string[]> } - IDs of the notes that failed
+ */
+async function handleBulkOperation(notes, operation, onProgress = () => {}) {
+  const failed = [];
+  let queued = 0;
+
+  if (Outbox.size > 0 || !navigator.onLine) {
+    notes.forEach((note) => Outbox.enqueue(operation, note.id, note));
+    if (operation === NoteStore.deleteNote) notes.forEach((note) => NoteMeta.remove(note.id));
+    onProgress(notes.length, notes.length);
+    HelperToast.info(
+      `${notes.length} changes saved offline, they will sync when the server is reachable`,
+    );
+    syncOutbox();
+    return failed;
+  }
+
+  await runConcurrently(
+    notes,
+    BULK_CONCURRENCY,
+    async (note) => {
+      try {
+        await operation.call(NoteStore, note.id);
+      } catch (error) {
+        if (Outbox.canQueue(error, operation)) {
+          Outbox.enqueue(operation, note.id, note);
+          queued += 1;
+        } else if (!(operation === NoteStore.deleteNote && error.code === "not-found")) {
+          // A note that is already gone counts as deleted
+          failed.push({ note, error });
+        }
+      }
+    },
+    onProgress,
+  );
+
+  if (operation === NoteStore.deleteNote) {
+    notes
+      .filter((note) => !failed.some((failure) => failure.note === note))
+      .forEach((note) => NoteMeta.remove(note.id));
+  }
+
+  const succeeded = notes.length - failed.length - queued;
+  if (succeeded > 0) {
+    HelperToast.success(
+      `${succeeded} ${succeeded === 1 ? "note" : "notes"} ${getBulkVerbForOperation(operation)}`,
+    );
+  }
+
+  if (queued > 0) {
+    HelperToast.info(`${queued} changes will sync when the server is reachable`);
+    scheduleSyncRetry();
+  }
+
+  if (failed.length > 0) {
+    const failedNotes = failed.map(({ note }) => note);
+    const lines = failed
+      .slice(0, BULK_REPORT_LIMIT)
+      .map(({ note, error }) => `"${note.title}": ${error.message}`);
+
+    if (failed.length > BULK_REPORT_LIMIT) {
+      lines.push(`and ${failed.length - BULK_REPORT_LIMIT} more`);
+    }
+
+    HelperToast.error(
+      `${failed.length} ${failed.length === 1 ? "note" : "notes"} failed:\n${lines.join("\n")}`,
+      {
+        actions: [{ label: "Retry", onClick: () => handleBulkOperation(failedNotes, operation) }],
+      },
+    );
+  }
+
+  return failed.map(({ note }) => note.id);
+}
+
+/**
+ * Re-creates notes read from backup files, archiving the ones that were archived
+ * Notes with the same title and body as an existing note, or as an earlier item of the same
+ * import, are skipped as duplicates. Every item gets its own result so the import can list
+ * what happened to each file, and a failed item does not stop the others.
+ *
+ * @param { { source: string, note?: Object, error?: string }[] } items - Notes read from the
+ * files, or the reason a file could not be read
+ * @param { Function } [onProgress] - Called with the number of finished items and the total
+ * @returns { Promise<{ source: string, status: string, message: string }[]> } - The result of
+ * every item, with status "imported", "duplicate" or "error"
+ */
+async function handleImport(items, onProgress = () => {}) {
+  const results = items.map(({ source, error }) => ({
+    source,
+    status: error ? "error" : "",
+    message: error || "",
+  }));
+  let existingNotes;
+
+  try {
+    const { active, archived } = await NoteStore.loadAll();
+    existingNotes = [...active, ...archived];
+  } catch (error) {
+    HelperToast.error(`Could not import notes: ${error.message}`);
+    onProgress(items.length, items.length);
+    return results.map((result) => ({ ...result, status: "error", message: error.message }));
+  }
+
+  const knownKeys = new Set(existingNotes.map((note) => HelperBackup.getDuplicateKey(note)));
+
+  await runConcurrently(
+    items.map((item, index) => ({ ...item, result: results[index] })),
+    BULK_CONCURRENCY,
+    async ({ note, result }) => {
+      if (!note) return;
+
+      // Checked and claimed before the first await, so concurrent items see each other
+      const key = HelperBackup.getDuplicateKey(note);
+      if (knownKeys.has(key)) {
+        result.status = "duplicate";
+        result.message = "A note with the same title and body already exists";
+        return;
+      }
+      knownKeys.add(key);
+
+      let created;
+      try {
+        created = await NoteStore.createNote({ title: note.title, body: note.body });
+        if (note.archived) await NoteStore.archiveNote(created.id);
+        result.status = "imported";
+      } catch (error) {
+        result.status = "error";
+        result.message = created ? `Created, but not archived: ${error.message}` : error.message;
+        if (!created) knownKeys.delete(key);
+      }
+    },
+    onProgress,
+  );
+
+  const imported = results.filter((result) => result.status === "imported").length;
+  const failed = results.filter((result) => result.status === "error").length;
+
+  if (imported > 0) {
+    HelperToast.success(`${imported} ${imported === 1 ? "note" : "notes"} imported`);
+  }
+
+  if (failed > 0) {
+    HelperToast.error(
+      `${failed} ${failed === 1 ? "item" : "items"} could not be imported, see the report`,
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Logs a user in, or registers and logs in, then shows the notes of that user
+ * The notes loaded before belong to whoever used the application last, so they are dropped.
+ *
+ * @param { Function } operation - Logs in and resolves with the user
+ * @param { HTMLElement } button - Submit button of the form, shows the loading state
+ * @param { string } buttonText - Text of the button once the request finished
+ * @returns { Promise<Error|undefined> } - Why the login failed, so the form can show it,
+ * undefined once the user is logged in
+ */
+async function handleLogin(operation, button, buttonText) {
+  HelperLoading.showLoading(button);
+
+  try {
+    const user = await operation();
+
+    NoteStore.reset();
+    HelperToast.success(`Logged in as ${user.name}`);
+    Router.navigate(returnPath);
+    returnPath = "/";
+    syncOutbox();
+
+    return undefined;
+  } catch (error) {
+    return error;
+  } finally {
+    HelperLoading.hideLoading(button, buttonText);
+  }
+}
+
+/**
+ * Route guard, sends visitors to the login when the build requires one
+ * Logged in users skip the login and register pages.
+ *
+ * @param { Object } route - The matched route
+ * @param { string } path - The path that is about to render
+ * @returns { string|null } Path to redirect to, null to render the route
+ */
+function guardRoute(route, path) {
+  if (!Auth.isRequired()) return null;
+
+  if (route.public) {
+    return Auth.isLoggedIn() ? returnPath : null;
+  }
+
+  if (Auth.isLoggedIn()) return null;
+
+  returnPath = path;
+  return "/login";
+}
+
+/**
+ * Runs an async task for every item with at most `limit` tasks running at the same time
+ *
+ * @param { Array } items - The items to process
+ * @param { number } limit - Maximum number of tasks in flight
+ * @param { Function } task - Async function called with each item, must not reject
+ * @param { Function } onProgress - Called with the number of finished tasks and the total
+ * @returns { Promise<void> }
+ */
+async function runConcurrently(items, limit, task, onProgress) {
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+
+      await task(item);
+      done += 1;
+      onProgress(done, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Replays the queued operations, refreshes the lists and reports notes that could not be synced
+ * Retries later if the server is still unreachable
+ *
+ * @returns { Promise<void> }
+ */
+async function syncOutbox() {
+  if (Outbox.size === 0 || !navigator.onLine) return;
+  // Queued changes wait for the user to log in again
+  if (Auth.isRequired() && !Auth.isLoggedIn()) return;
+
+  clearTimeout(syncRetryTimeout);
+  const report = await Outbox.replay();
+  const problems = [...report.conflicts, ...report.failed];
+
+  // Synced notes now come from the server, with their server IDs
+  if (report.synced > 0 || problems.length > 0) {
+    await NoteStore.refresh().catch((error) => {
+      HelperToast.error(`Could not load notes: ${error.message}`);
+    });
+  }
+
+  if (report.synced > 0) {
+    HelperToast.success(`${report.synced} offline change(s) synced`);
+  }
+
+  problems.forEach((problem) => HelperToast.error(problem));
+
+  if (Outbox.size > 0) {
+    scheduleSyncRetry();
+  }
+}
+
+/**
+ * Schedules a single outbox replay after SYNC_RETRY_DELAY
+ */
+function scheduleSyncRetry() {
+  clearTimeout(syncRetryTimeout);
+  syncRetryTimeout = setTimeout(syncOutbox, SYNC_RETRY_DELAY);
 }
 
 /**
@@ -103,36 +680,58 @@ async function handleNoteOperation(noteData, operation, button) {
  * @returns { string } Text to display on the button
  */
 function getButttonTextForOperation(operation) {
-  if (operation === NoteApi.createNote) return "Make Note";
-  if (operation === NoteApi.deleteNote) return "Delete";
-  if (operation === NoteApi.archiveNote) return "Archive";
-  if (operation === NoteApi.archiveNote) return "Unarchive";
+  if (operation === NoteStore.createNote) return "Make Note";
+  if (operation === NoteStore.updateNote) return "Save";
+  if (operation === NoteStore.deleteNote) return "Delete";
+  if (operation === NoteStore.archiveNote) return "Archive";
+  if (operation === NoteStore.unarchiveNote) return "Unarchive";
   return "Submit";
 }
 
 /**
- * Notifies components of data changes and waits for updates to complete
+ * Determines the message reported after the operation succeeded
  *
- * @param { HTMLElement } [button] - Optional button reference to include in event detail
- * @returns { Promise<void> } - Resolve when update is complete
- * @fires CustomEvent#notes-updated - Triggers components to refresh their data
- * @listens CustomEvent#notes-update-complete - Waits for this event to resolve their promise
+ * @param { Function } operation - The API operation
+ * @returns { string } Text to display in the toast
  */
-function notifyAndWaitForUpdate(button) {
-  return new Promise((resolve) => {
-    const onceListener = async () => {
-      document.removeEventListener("notes-update-complete", onceListener);
-      resolve();
-    };
+function getSuccessMessageForOperation(operation) {
+  if (operation === NoteStore.createNote) return "Note created";
+  if (operation === NoteStore.updateNote) return "Note saved";
+  if (operation === NoteStore.deleteNote) return "Note deleted";
+  if (operation === NoteStore.archiveNote) return "Note archived";
+  if (operation === NoteStore.unarchiveNote) return "Note unarchived";
+  return "Done";
+}
 
-    document.addEventListener("notes-update-complete", onceListener, { once: true });
+/**
+ * Determines the message reported after the operation failed and was rolled back
+ *
+ * @param { Function } operation - The API operation
+ * @returns { string } Text to display in the toast, followed by the reason
+ */
+function getFailureMessageForOperation(operation) {
+  if (operation === NoteStore.createNote) return "Could not create the note";
+  if (operation === NoteStore.updateNote) return "Could not save the note";
+  if (operation === NoteStore.deleteNote) return "Could not delete the note";
+  if (operation === NoteStore.archiveNote) return "Could not archive the note";
+  if (operation === NoteStore.unarchiveNote) return "Could not unarchive the note";
+  return "Could not change the note";
+}
 
-    document.dispatchEvent(
-      new CustomEvent("notes-updated", {
-        bubbles: true,
-        composed: true,
-        detail: { button },
-      }),
-    );
-  });
+/**
+ * Determines the past tense used to report a bulk operation
+ *
+ * @param { Function } operation - The API operation
+ * @returns { string } Text to display in the toast
+ */
+function getBulkVerbForOperation(operation) {
+  if (operation === NoteStore.deleteNote) return "deleted";
+  if (operation === NoteStore.archiveNote) return "archived";
+  if (operation === NoteStore.unarchiveNote) return "unarchived";
+  return "updated";
 }
+
+Router.start(document.querySelector("main.wrapper"), routes, { guard: guardRoute });
+
+// Sync anything left in the outbox from a previous session
+syncOutbox();
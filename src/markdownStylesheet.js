@@ -0,0 +1,54 @@
+// Styles of Markdown rendered by HelperMarkdown into a `.note-content` element, the font and
+// heading sizes are left to the component showing it
+const markdownStyles = new CSSStyleSheet();
+markdownStyles.replaceSync(`
+  .note-content h1,
+  .note-content h2,
+  .note-content h3,
+  .note-content h4,
+  .note-content h5,
+  .note-content h6 {
+    font-weight: 700;
+  }
+
+  .note-content ul,
+  .note-content ol {
+    padding-left: 20px;
+  }
+
+  .note-content blockquote {
+    padding-left: 10px;
+    border-left: 3px solid var(--primary);
+    color: var(--white-alpha-low);
+  }
+
+  .note-content code {
+    font-family: monospace;
+    padding: 0 3px;
+    border-radius: 2px;
+    background-color: rgba(255,255,255,0.1);
+  }
+
+  .note-content pre {
+    padding: 5px;
+    border-radius: 4px;
+    overflow-x: auto;
+    background-color: rgba(255,255,255,0.1);
+  }
+
+  .note-content pre code {
+    padding: 0;
+    background-color: transparent;
+  }
+
+  .note-content a {
+    color: var(--light);
+  }
+
+  .note-content hr {
+    border: none;
+    border-top: 1px solid var(--white-alpha-low);
+  }
+`);
+
+export default markdownStyles;
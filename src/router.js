@@ -0,0 +1,191 @@
+/**
+ * @class Router
+ * @description Small hash based router that renders the view of the current route
+ * into an outlet element. Paths are taken from the URL hash, e.g. `#/notes/42`,
+ * so back and forward navigation and links work without server support.
+ *
+ * @example
+ * Router.start(document.querySelector("main.wrapper"), [
+ *   { path: "/", title: "Notes", render: () => document.createElement("active-note") },
+ *   { path: "/notes/:id", title: "Note", render: ({ id }) => renderNote(id) },
+ *   { path: "*", title: "Not found", render: () => document.createElement("page-not-found") },
+ * ]);
+ */
+import NoteStore from "./data/noteStore.js";
+
+class Router {
+  /**
+   * Starts rendering routes into the outlet and follows hash changes
+   *
+   * @param { HTMLElement } outlet - Element whose content is replaced by the current view
+   * @param { Object[] } routes - Route definitions, matched in order
+   * @param { string } routes[].path - Path pattern, `:name` segments become params and
+   * `*` matches any path
+   * @param { string } routes[].title - Document title of the view
+   * @param { Function } routes[].render - Receives the params and returns the view element,
+   * an array of elements, or a promise of either
+   * @param { Function } [routes[].refresh] - Receives the rendered view and the params when
+   * the notes change, and updates the view where they changed what it shows
+   * @param { Object } [options]
+   * @param { Function } [options.guard] - Receives the matched route and the path before
+   * every render, and returns a path to redirect to instead, e.g. the login
+   * @returns { Promise<void> } Resolves when the first view is rendered
+   */
+  static start(outlet, routes, options = {}) {
+    this._outlet = outlet;
+    this._routes = routes.map((route) => ({ ...route, pattern: this.compile(route.path) }));
+    this._guard = options.guard || null;
+    this._renderId = 0;
+
+    this.resolve = this.resolve.bind(this);
+    this.handleNotesChanged = this.handleNotesChanged.bind(this);
+
+    window.addEventListener("hashchange", this.resolve);
+    NoteStore.subscribe(this.handleNotesChanged);
+
+    return this.resolve();
+  }
+
+  /**
+   * The current path, "/" when the URL has no hash
+   *
+   * @returns { string }
+   */
+  static get path() {
+    return window.location.hash.replace(/^#/, "") || "/";
+  }
+
+  /**
+   * Goes to a path, adding an entry to the browser history
+   *
+   * @param { string } path - The path to go to, e.g. "/archived"
+   */
+  static navigate(path) {
+    window.location.hash = path;
+  }
+
+  /**
+   * Goes to a path in place of the current one, so going back skips it
+   *
+   * @param { string } path - The path to go to
+   * @returns { Promise<void> } Resolves when the view is rendered
+   */
+  static redirect(path) {
+    window.history.replaceState(window.history.state, "", `#${path}`);
+    return this.resolve();
+  }
+
+  /**
+   * Turns a path pattern into a regular expression
+   *
+   * @param { string } path - Path pattern such as "/notes/:id"
+   * @returns { RegExp } Expression with a named group for every param
+   */
+  static compile(path) {
+    if (path === "*") return /^.*$/;
+
+    const source = path
+      .split("/")
+      .map((segment) =>
+        segment.startsWith(":")
+          ? `(?<${segment.slice(1)}>[^/]+)`
+          : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      )
+      .join("/");
+
+    return new RegExp(`^${source}/?$`);
+  }
+
+  /**
+   * Finds the first route matching a path
+   * A param that is not valid percent-encoding, e.g. `#/notes/%`, does not match its route,
+   * so such a path falls through to the catch-all route.
+   *
+   * @param { string } path - The path to match
+   * @returns { { route: Object, params: Object }|null } The route and its decoded params
+   */
+  static match(path) {
+    for (const route of this._routes) {
+      const match = route.pattern.exec(path);
+      if (!match) continue;
+
+      try {
+        const params = Object.fromEntries(
+          Object.entries(match.groups || {}).map(([name, value]) => [
+            name,
+            decodeURIComponent(value),
+          ]),
+        );
+
+        return { route, params };
+      } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Renders the view of the current path into the outlet, or redirects where the guard says
+   * A render that finishes after the user navigated elsewhere is discarded.
+   *
+   * @returns { Promise<void> }
+   * @fires CustomEvent#route-changed
+   */
+  static async resolve() {
+    const renderId = ++this._renderId;
+    const path = this.path;
+    const { route, params } = this.match(path);
+    const redirectPath = this._guard && this._guard(route, path);
+
+    if (redirectPath && redirectPath !== path) {
+      return this.redirect(redirectPath);
+    }
+    const view = await route.render(params);
+
+    if (renderId !== this._renderId) return;
+
+    this._current = route;
+    this._view = view;
+    this._params = params;
+    this._outlet.replaceChildren(...[view].flat());
+    document.title = `${route.title} | Notes App`;
+    this.updateLinks(path);
+
+    document.dispatchEvent(
+      new CustomEvent("route-changed", {
+        bubbles: true,
+        composed: true,
+        detail: { path, params },
+      }),
+    );
+  }
+
+  /**
+   * Marks links to the current path with `aria-current="page"`
+   *
+   * @param { string } path - The current path
+   */
+  static updateLinks(path) {
+    document.querySelectorAll('a[href^="#/"]').forEach((link) => {
+      if (link.getAttribute("href") === `#${path}`) {
+        link.setAttribute("aria-current", "page");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+  }
+
+  /**
+   * Store listener, lets the current route update its view when the notes change
+   * The view is kept, so focus and scroll position stay where they are.
+   */
+  static handleNotesChanged() {
+    if (this._current && this._current.refresh) {
+      this._current.refresh(this._view, this._params);
+    }
+  }
+}
+
+export default Router;
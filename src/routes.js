@@ -0,0 +1,173 @@
+/**
+ * Route table of the application, rendered into `main.wrapper` by the Router
+ * Routes marked `public` can be opened without logging in when the build requires a login.
+ *
+ * @file routes.js
+ */
+import NoteMeta from "./data/noteMeta.js";
+import NoteStore from "./data/noteStore.js";
+import Outbox from "./data/outbox.js";
+import HelperColor from "./helper/helperColor.js";
+import HelperSearch from "./helper/helperSearch.js";
+import HelperSort from "./helper/helperSort.js";
+import HelperTags from "./helper/helperTags.js";
+import HelperToast from "./helper/helperToast.js";
+import Router from "./router.js";
+
+/**
+ * Creates an element with its properties set
+ *
+ * @param { string } tagName - The custom element to create
+ * @param { Object } [properties] - Properties to assign to the element
+ * @returns { HTMLElement }
+ */
+function createView(tagName, properties = {}) {
+  return Object.assign(document.createElement(tagName), properties);
+}
+
+/**
+ * Finds a note in both lists, including changes that are still in the outbox
+ *
+ * @param { string } noteId - The note ID from the URL
+ * @returns { Promise<{ note: Object, siblings: Object[] }|undefined> } The note and the notes
+ * of its list, filtered and ordered like the list view, undefined when there is no such note
+ * @throws { NoteApiError } - When the notes cannot be loaded
+ */
+async function findNote(noteId) {
+  const { active, archived } = await NoteStore.loadAll();
+  const lists = [
+    { key: "active", notes: Outbox.applyTo(active, false) },
+    { key: "archived", notes: Outbox.applyTo(archived, true) },
+  ];
+
+  for (const { key, notes } of lists) {
+    const note = notes.find((listNote) => String(listNote.id) === noteId);
+    if (!note) continue;
+
+    // Keep the search, tag and color filters unless the note itself is filtered out, e.g. when
+    // opened from a link
+    const query = HelperSearch.getQuery();
+    const tags = HelperTags.getSelected();
+    const color = HelperColor.getFilter();
+    const isListed = (listNote) =>
+      HelperSearch.matches(listNote, query) &&
+      HelperTags.matches(listNote, tags) &&
+      HelperColor.matches(NoteMeta.getColor(listNote.id), color);
+    const matching = isListed(note) ? notes.filter(isListed) : notes;
+
+    const siblings = HelperSort.sort(matching, HelperSort.getOrder(key));
+
+    // Active notes list the pinned ones first
+    return { note, siblings: key === "active" ? NoteMeta.pinnedFirst(siblings) : siblings };
+  }
+
+  return undefined;
+}
+
+/**
+ * Renders the view of a single note, or the 404 view when the note does not exist
+ *
+ * @param { Object } params - Route params
+ * @param { string } params.id - The note ID
+ * @returns { Promise<HTMLElement> }
+ */
+async function renderNote({ id }) {
+  let found;
+
+  try {
+    found = await findNote(id);
+  } catch (error) {
+    HelperToast.error(`Could not load the note: ${error.message}`, {
+      actions: [{ label: "Retry", onClick: () => Router.resolve() }],
+    });
+    return createView("page-not-found", { message: error.message });
+  }
+
+  if (!found) {
+    return createView("page-not-found", { message: "This note does not exist." });
+  }
+
+  return createView("note-detail", found);
+}
+
+/**
+ * Updates the view of a single note when the notes change, rendering the route again only
+ * when the note appeared or disappeared
+ *
+ * @param { HTMLElement } view - The rendered view, note-detail or page-not-found
+ * @param { Object } params - Route params
+ * @param { string } params.id - The note ID
+ * @returns { Promise<void> }
+ */
+async function refreshNote(view, { id }) {
+  let found;
+
+  try {
+    found = await findNote(id);
+  } catch (error) {
+    // The note shown stays, a failed load is reported once the user navigates
+    console.error(error);
+    return;
+  }
+
+  // The user navigated elsewhere meanwhile
+  if (!view.isConnected) return;
+
+  const isDetail = view.localName === "note-detail";
+
+  if (found && isDetail) {
+    // note-detail renders again only when what it shows changed
+    view.note = found.note;
+    view.siblings = found.siblings;
+  } else if (found || isDetail) {
+    await Router.resolve();
+  }
+}
+
+const routes = [
+  {
+    path: "/",
+    title: "Notes",
+    render: () => [createView("note-search"), createView("active-note")],
+  },
+  {
+    path: "/archived",
+    title: "Archived notes",
+    render: () => [createView("note-search"), createView("archive-note")],
+  },
+  {
+    path: "/new",
+    title: "New note",
+    render: () => createView("make-note"),
+  },
+  {
+    path: "/backup",
+    title: "Backup",
+    render: () => createView("note-backup"),
+  },
+  {
+    path: "/login",
+    title: "Log in",
+    public: true,
+    render: () => createView("login-form"),
+  },
+  {
+    path: "/register",
+    title: "Register",
+    public: true,
+    render: () => createView("register-form"),
+  },
+  {
+    path: "/notes/:id",
+    title: "Note",
+    refresh: refreshNote,
+    render: renderNote,
+  },
+  {
+    path: "*",
+    title: "Page not found",
+    render: () => createView("page-not-found"),
+  },
+];
+
+export default routes;
@@ -1,4 +1,5 @@
 const path = require("path");
+const webpack = require("webpack");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 
 module.exports = {
@@ -24,6 +25,13 @@ module.exports = {
     ],
   },
   plugins: [
+    new webpack.DefinePlugin({
+      "process.env.NOTES_STORAGE": JSON.stringify(process.env.NOTES_STORAGE || "rest"),
+      "process.env.NOTES_API_BASE_URL": JSON.stringify(process.env.NOTES_API_BASE_URL || ""),
+      "process.env.NOTES_REQUEST_TIMEOUT": JSON.stringify(process.env.NOTES_REQUEST_TIMEOUT || ""),
+      "process.env.NOTES_API_CAN_UPDATE": JSON.stringify(process.env.NOTES_API_CAN_UPDATE || ""),
+      "process.env.NOTES_AUTH": JSON.stringify(process.env.NOTES_AUTH || ""),
+    }),
     new HtmlWebpackPlugin({
       template: "./src/index.html",
       filename: "index.html",